@@ -2,6 +2,7 @@ import {
   UNGROUPED_GROUP_ID,
   UNGROUPED_GROUP_NAME,
 } from '../../../js/background/constants.js';
+import { getNewTabProperties } from '../../../js/_share/new-tabs.js';
 
 export default class Group {
   constructor(View, group) {
@@ -30,6 +31,16 @@ export default class Group {
       await this.loadTabs();
     }
 
+    // Let the background open the startup pages of an empty group
+    if (this.tabs.length === 0) {
+      await browser.runtime.sendMessage({
+        action: 'activateGroup',
+        windowId: this.View.windowId,
+        groupId: this.id,
+      });
+      return;
+    }
+
     await browser.tabs.update(this.tabs[0].id, { active: true });
     this.setActive();
   }
@@ -43,7 +54,10 @@ export default class Group {
 
   async addNewTab() {
     await this.setActive();
-    const tab = await browser.tabs.create({ active: true });
+    const tab = await browser.tabs.create({
+      active: true,
+      ...(await getNewTabProperties(this)),
+    });
     await browser.sessions.setTabValue(tab.id, 'groupId', this.id);
 
     // Note: We don't manually trigger visibility updates here.
@@ -79,6 +93,43 @@ export default class Group {
     return leftGroups;
   }
 
+  /**
+   * Close the group, keeping it with its tabs in the archive
+   */
+  async archive() {
+    const response = await browser.runtime.sendMessage({
+      action: 'archiveGroup',
+      groupId: this.id,
+      windowId: this.View.windowId,
+    });
+
+    if (!response.success) {
+      console.error(`Failed to archive group ${this.id}:`, response.error);
+      throw new Error(`Group archiving failed: ${response.error}`);
+    }
+  }
+
+  /**
+   * Download the links of the group's tabs
+   * @param {string} format - Key of LINK_EXPORT_FORMATS
+   */
+  async exportLinks(format) {
+    const response = await browser.runtime.sendMessage({
+      action: 'exportGroupLinks',
+      groupId: this.id,
+      windowId: this.View.windowId,
+      format,
+    });
+
+    if (!response.success) {
+      console.error(
+        `Failed to export links of group ${this.id}:`,
+        response.error,
+      );
+      throw new Error(`Group link export failed: ${response.error}`);
+    }
+  }
+
   async rename(newName) {
     const groups = await this.getAll();
 
@@ -91,6 +142,57 @@ export default class Group {
       return group;
     });
 
+    await browser.sessions.setWindowValue(
+      this.View.windowId,
+      'groups',
+      updatedGroups,
+    );
+    // Rename the menu item and the bookmark folder of the group
+    browser.runtime.sendMessage({
+      action: 'updateMenuItem',
+      groupId: this.id.toString(),
+      groupName: newName,
+    });
+
+    return this;
+  }
+
+  /**
+   * Unload the tabs of the group until it's activated again
+   */
+  async sleep() {
+    await browser.runtime.sendMessage({
+      action: 'sleepGroup',
+      windowId: this.View.windowId,
+      groupId: this.id,
+    });
+    this.sleeping = true;
+  }
+
+  async wake() {
+    await browser.runtime.sendMessage({
+      action: 'wakeGroup',
+      windowId: this.View.windowId,
+      groupId: this.id,
+    });
+    this.sleeping = false;
+  }
+
+  /**
+   * Change settings of the group like containerId, newTabUrl or startupUrls
+   */
+  async update(properties) {
+    const groups = await this.getAll();
+
+    const updatedGroups = groups.map((group) => {
+      if (group.id === this.id) {
+        Object.assign(this, properties);
+        Object.assign(group, properties);
+      }
+
+      return group;
+    });
+
     await browser.sessions.setWindowValue(
       this.View.windowId,
       'groups',
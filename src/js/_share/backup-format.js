@@ -0,0 +1,419 @@
+/**
+ * Backup Format - The backup file versions and how to read them
+ *
+ * Version 2:
+ * {
+ *   file: { type: 'panoramaView', version: 2, created: number },
+ *   windows: [{
+ *     position: { left, top, width, height },
+ *     activeGroup: number,
+ *     groupIndex: number, // Next free group ID
+ *     groups: [{
+ *       id, name, rect: { x, y, w, h }, color, lastMoved,
+ *       nativeGroupId, // Only valid in the session the backup was made in
+ *       containerId, newTabUrl, startupUrls, discardExempt, sleeping,
+ *     }],
+ *     tabs: [{
+ *       url, title, favIconUrl, groupId, index, lastAccessed, pinned,
+ *       cookieStoreId,
+ *     }],
+ *   }],
+ * }
+ *
+ * Version 1 has the same layout, but only keeps the id, name and rect of
+ * groups and the url, title, groupId, index, lastAccessed and pinned of tabs.
+ * Files of the old Tab Groups and Session Restore add-ons are converted to
+ * version 1 first. Firefox session files are read straight into version 2.
+ * Every older format is migrated one version at a time.
+ */
+
+import { PANORAMA_VIEW_GROUP_ID } from '../background/constants.js';
+
+export const BACKUP_TYPE = 'panoramaView';
+export const BACKUP_VERSION = 2;
+
+// Group properties written to backups and read from them
+export const BACKUP_GROUP_PROPERTIES = [
+  'id',
+  'name',
+  'rect',
+  'color',
+  'lastMoved',
+  'nativeGroupId',
+  'containerId',
+  'newTabUrl',
+  'startupUrls',
+  'discardExempt',
+  'sleeping',
+];
+
+/**
+ * Convert a Tab Groups or Session Restore file to version 1
+ */
+function migrateLegacy(tgData) {
+  const data = {
+    file: {
+      type: BACKUP_TYPE,
+      version: 1,
+    },
+    windows: [],
+  };
+
+  tgData.windows.forEach((wi, index) => {
+    const tabviewGroup = JSON.parse(wi.extData['tabview-group']);
+    const tabviewGroups = JSON.parse(wi.extData['tabview-groups']);
+
+    data.windows[index] = {
+      groups: [],
+      tabs: [],
+      activeGroup: tabviewGroups.activeGroupId,
+      groupIndex: tabviewGroups.nextID,
+      position: {
+        left: wi.screenX,
+        top: wi.screenY,
+        height: wi.height,
+        width: wi.width,
+      },
+    };
+
+    const nGroups = Object.keys(tabviewGroup).length;
+    const gwidth = 0.25;
+    let curX = 0.0;
+    const deltaX = 1 / (nGroups < 4 ? 4 : nGroups + 1);
+    let curY = 0.0;
+    const deltaY = 1 / 32;
+    Object.values(tabviewGroup).forEach((gkey) => {
+      data.windows[index].groups.push({
+        id: gkey.id,
+        name: gkey.title,
+        rect: {
+          x: curX,
+          y: curY,
+          w: gwidth,
+          h: 0.5,
+        },
+      });
+      curX += deltaX;
+      curY += deltaY;
+    });
+
+    wi.tabs.forEach((tab, tIndex) => {
+      let groupId;
+      if (tab.pinned === true) {
+        groupId = 0;
+      } else if (tab.extData) {
+        groupId = JSON.parse(tab.extData['tabview-tab']).groupID;
+      } else {
+        // No associated groupId, where should it go???
+        console.debug(
+          `Skipping tab with missing groupId: ${tab.entries[0].url}`,
+        );
+        return;
+      }
+      data.windows[index].tabs.push({
+        url: tab.entries[0].url,
+        title: tab.entries[0].title,
+        groupId,
+        index: Number(tIndex),
+        lastAccessed: tab.lastAccessed,
+        pinned: tab.pinned,
+      });
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Recover the groups of this add-on from a Firefox session file
+ * Firefox keeps the values of sessions.setWindowValue() and setTabValue() as
+ * JSON in the extData of windows and tabs, keyed "extension:<ID>:<key>".
+ * Tabs without a group are put into the active group of their window.
+ */
+function migrateSessionStore(sessionData) {
+  const prefix = `extension:${browser.runtime.id}:`;
+  const readValue = (extData, key) => {
+    const value = extData?.[`${prefix}${key}`];
+    return value === undefined ? undefined : JSON.parse(value);
+  };
+
+  return {
+    file: {
+      type: BACKUP_TYPE,
+      version: 2,
+    },
+    windows: sessionData.windows.map((wi) => {
+      const groups = readValue(wi.extData, 'groups') || [];
+      const activeGroup = readValue(wi.extData, 'activeGroup');
+      const fallbackGroupId = groups.some((group) => group.id === activeGroup)
+        ? activeGroup
+        : (groups[0]?.id ?? 0);
+
+      const tabs = wi.tabs
+        .map((tab, index) => {
+          // The index of the current history entry starts at 1
+          const entry = tab.entries?.[(tab.index || tab.entries?.length) - 1];
+          return {
+            url: entry?.url,
+            title: entry?.title || entry?.url,
+            favIconUrl: tab.image,
+            groupId: readValue(tab.extData, 'groupId') ?? fallbackGroupId,
+            index,
+            lastAccessed: tab.lastAccessed,
+            pinned: !!tab.pinned,
+            cookieStoreId: tab.userContextId
+              ? `firefox-container-${tab.userContextId}`
+              : undefined,
+          };
+        })
+        .filter(
+          (tab) =>
+            tab.url !== undefined && tab.groupId !== PANORAMA_VIEW_GROUP_ID,
+        );
+
+      return {
+        position: {
+          left: wi.screenX,
+          top: wi.screenY,
+          width: wi.width,
+          height: wi.height,
+        },
+        groups,
+        tabs,
+        activeGroup: groups.length ? fallbackGroupId : 0,
+        groupIndex:
+          readValue(wi.extData, 'groupIndex') ??
+          Math.max(0, ...tabs.map((tab) => tab.groupId)) + 1,
+      };
+    }),
+  };
+}
+
+/**
+ * Version 2 only adds properties, so version 1 files are valid as they are
+ */
+function migrateVersion1(data) {
+  return {
+    ...data,
+    file: { ...data.file, version: 2 },
+  };
+}
+
+// Migration from each version to the next one
+const MIGRATIONS = {
+  legacy: migrateLegacy,
+  sessionstore: migrateSessionStore,
+  1: migrateVersion1,
+};
+
+/**
+ * @param {object} data - Parsed backup file
+ * @returns {string|number|null} 'legacy', 'sessionstore', the version number
+ *   or null if the file isn't a backup
+ */
+function getBackupVersion(data) {
+  if (Array.isArray(data.version) && data.version[1] === 1) {
+    if (data.version[0] === 'tabGroups') {
+      return 'legacy';
+    }
+    // Session Restore files and Firefox session files share their version,
+    // but only the former have the groups of Tab Groups
+    if (data.version[0] === 'sessionrestore' && Array.isArray(data.windows)) {
+      return data.windows.some((wi) => wi.extData?.['tabview-group'])
+        ? 'legacy'
+        : 'sessionstore';
+    }
+  }
+  if (data.file && data.file.type === BACKUP_TYPE) {
+    return data.file.version;
+  }
+  return null;
+}
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+function validateGroup(group, where) {
+  const problems = [];
+  if (!Number.isInteger(group.id)) {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemGroupId', [where]),
+    );
+  }
+  if (typeof group.name !== 'string') {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemGroupName', [where]),
+    );
+  }
+  if (
+    group.rect !== undefined &&
+    !['x', 'y', 'w', 'h'].every((key) => isNumber(group.rect?.[key]))
+  ) {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemGroupRect', [where]),
+    );
+  }
+  if (
+    group.startupUrls !== undefined &&
+    !(
+      Array.isArray(group.startupUrls) &&
+      group.startupUrls.every((url) => typeof url === 'string')
+    )
+  ) {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemGroupStartupUrls', [where]),
+    );
+  }
+  return problems;
+}
+
+function validateTab(tab, where) {
+  const problems = [];
+  if (typeof tab.url !== 'string') {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemTabUrl', [where]),
+    );
+  }
+  if (Number.isNaN(parseInt(tab.groupId, 10))) {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemTabGroupId', [where]),
+    );
+  }
+  if (tab.pinned !== undefined && typeof tab.pinned !== 'boolean') {
+    problems.push(
+      browser.i18n.getMessage('optionsBackupProblemTabPinned', [where]),
+    );
+  }
+  return problems;
+}
+
+/**
+ * Check that a backup of the current version can be opened
+ * Missing values of window positions are dropped, session files leave them
+ * out for some windows, like minimized ones.
+ * @param {object} data - Backup of the current version
+ * @returns {Array<string>} What's wrong with the backup, empty if it's fine
+ */
+export function validateBackup(data) {
+  if (!Array.isArray(data.windows)) {
+    return [browser.i18n.getMessage('optionsBackupProblemWindows')];
+  }
+
+  return data.windows.flatMap((wi, windowIndex) => {
+    const where = browser.i18n.getMessage('optionsBackupProblemWindow', [
+      windowIndex + 1,
+    ]);
+    if (!Array.isArray(wi.groups) || !Array.isArray(wi.tabs)) {
+      return [
+        browser.i18n.getMessage('optionsBackupProblemWindowLists', [where]),
+      ];
+    }
+    if (wi.position && typeof wi.position === 'object') {
+      Object.keys(wi.position).forEach((key) => {
+        if (wi.position[key] === undefined || wi.position[key] === null) {
+          delete wi.position[key];
+        }
+      });
+    }
+    if (
+      wi.position !== undefined &&
+      !Object.values(wi.position).every(isNumber)
+    ) {
+      return [
+        browser.i18n.getMessage('optionsBackupProblemWindowPosition', [where]),
+      ];
+    }
+
+    return [
+      ...wi.groups.flatMap((group, index) =>
+        validateGroup(
+          group,
+          browser.i18n.getMessage('optionsBackupProblemGroup', [
+            where,
+            index + 1,
+          ]),
+        ),
+      ),
+      ...wi.tabs.flatMap((tab, index) =>
+        validateTab(
+          tab,
+          browser.i18n.getMessage('optionsBackupProblemTab', [
+            where,
+            index + 1,
+          ]),
+        ),
+      ),
+    ];
+  });
+}
+
+/**
+ * Read a backup file of any known version
+ * @param {string} text - Content of the file
+ * @returns {{data: object|null, problems: Array<string>}} The backup migrated
+ *   to the current version, or null and why it can't be read
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return {
+      data: null,
+      problems: [
+        browser.i18n.getMessage('optionsBackupProblemJson', [error.message]),
+      ],
+    };
+  }
+
+  let version = data && typeof data === 'object' && getBackupVersion(data);
+  if (!version) {
+    return {
+      data: null,
+      problems: [browser.i18n.getMessage('optionsBackupProblemUnknownFile')],
+    };
+  }
+  if (!MIGRATIONS[version] && !Number.isInteger(version)) {
+    return {
+      data: null,
+      problems: [
+        browser.i18n.getMessage('optionsBackupProblemVersion', [version]),
+      ],
+    };
+  }
+  if (version > BACKUP_VERSION) {
+    return {
+      data: null,
+      problems: [
+        browser.i18n.getMessage('optionsBackupNewerVersion', [version]),
+      ],
+    };
+  }
+
+  while (version !== BACKUP_VERSION) {
+    if (!MIGRATIONS[version]) {
+      return {
+        data: null,
+        problems: [
+          browser.i18n.getMessage('optionsBackupProblemVersion', [version]),
+        ],
+      };
+    }
+    try {
+      data = MIGRATIONS[version](data);
+    } catch (error) {
+      return {
+        data: null,
+        problems: [
+          browser.i18n.getMessage('optionsBackupProblemMigration', [
+            version,
+            error.message,
+          ]),
+        ],
+      };
+    }
+    version = data.file.version;
+  }
+
+  const problems = validateBackup(data);
+  return { data: problems.length ? null : data, problems };
+}
@@ -0,0 +1,382 @@
+/**
+ * Backup - Read and build the groups and tabs of windows in the backup format
+ *
+ * Used by the options page, automatic backups and the background, so
+ * nothing here touches the page.
+ */
+
+import { currentOptions } from './options.js';
+import { getContainers } from './containers.js';
+import { NEW_TAB_URLS } from './new-tabs.js';
+import { getColorForGroupId } from '../background/utils.js';
+import {
+  BACKUP_TYPE,
+  BACKUP_VERSION,
+  BACKUP_GROUP_PROPERTIES,
+} from './backup-format.js';
+import { createRestoreProgress, createTabsQueued } from './restore-queue.js';
+
+/**
+ * Get the properties a tab of an archive or backup is created with
+ * Tabs open discarded, except pinned tabs and new tab pages, which can't be.
+ * @param {object} savedTab - Tab of an archive or backup
+ * @param {number} windowId - The window ID
+ * @param {Array<string>} cookieStoreIds - Containers that still exist, tabs
+ *   of other containers open without one
+ * @returns {object} Properties for browser.tabs.create()
+ */
+export function getSavedTabProperties(savedTab, windowId, cookieStoreIds) {
+  const isNewTab = NEW_TAB_URLS.includes(savedTab.url);
+  const discarded = !isNewTab && !savedTab.pinned;
+  return {
+    url: isNewTab ? undefined : savedTab.url,
+    // Only discarded tabs may be given a title
+    title: discarded ? savedTab.title : undefined,
+    discarded,
+    active: false,
+    pinned: savedTab.pinned,
+    cookieStoreId: cookieStoreIds.includes(savedTab.cookieStoreId)
+      ? savedTab.cookieStoreId
+      : undefined,
+    windowId,
+  };
+}
+
+function getGroupIdsFromTabs(window) {
+  const allGroupIds = [];
+  window.tabs.forEach((tab) => {
+    allGroupIds.push(tab.groupId);
+  });
+
+  const uniqueGroupIds = [...new Set(allGroupIds)];
+  return uniqueGroupIds;
+}
+
+/**
+ * Build the groups and tabs of a backed up window in a browser window
+ * Tabs open discarded, a few at a time. The caller has to keep the background
+ * from assigning them to groups while they're created (openingBackup).
+ * @param {object} wi - Window of a backup
+ * @param {number} windowId - ID of the browser window to build in
+ * @param {object} [progress] - Progress of the restore, see restore-queue.js
+ */
+export async function openBackupWindow(
+  wi,
+  windowId,
+  progress = createRestoreProgress(),
+) {
+  const groups = [];
+
+  if (wi.groups.length === 0) {
+    console.debug('no groups in backup, trying to retrieve them from tabs');
+    const newGroupIds = getGroupIdsFromTabs(wi);
+
+    // TODO: eval rect by minimum size and fit it optimally on screen
+
+    let curX = 0.0;
+    const delta = 1 / newGroupIds.length;
+
+    for (let i = 0; i < newGroupIds.length; i += 1) {
+      const gId = newGroupIds[i];
+      wi.groups.push({
+        id: gId,
+        name: `Group ${gId}`,
+        rect: {
+          x: curX,
+          y: 0,
+          w: delta,
+          h: 0.5,
+        },
+      });
+      curX += delta;
+    }
+  }
+
+  wi.groups.forEach((gi) => {
+    const group = {
+      containerId: 'firefox-default',
+      tabCount: 0,
+    };
+    BACKUP_GROUP_PROPERTIES.forEach((property) => {
+      if (gi[property] !== undefined) {
+        group[property] = gi[property];
+      }
+    });
+    // Native groups of the backup are gone, new ones are made when needed
+    group.nativeGroupId = null;
+    groups.push(group);
+  });
+
+  // Tabs of removed containers open without one
+  const cookieStoreIds = (await getContainers()).map(
+    (container) => container.cookieStoreId,
+  );
+
+  await browser.sessions.setWindowValue(windowId, 'groups', groups);
+  await browser.sessions.setWindowValue(
+    windowId,
+    'activeGroup',
+    wi.activeGroup,
+  );
+  await browser.sessions.setWindowValue(windowId, 'groupIndex', wi.groupIndex);
+
+  // Groups are done once all their tabs are
+  const remainingTabs = new Map(groups.map((group) => [group.id, 0]));
+  wi.tabs.forEach((ti) => {
+    const groupId = parseInt(ti.groupId, 10);
+    remainingTabs.set(groupId, (remainingTabs.get(groupId) || 0) + 1);
+  });
+  progress.groups.total += groups.length;
+  progress.groups.done += groups.filter(
+    (group) => remainingTabs.get(group.id) === 0,
+  ).length;
+  progress.tabs.total += wi.tabs.length;
+  progress.update();
+
+  const items = [...wi.tabs]
+    .sort((a, b) => a.index - b.index)
+    .map((ti) => ({
+      ...ti,
+      createProperties: getSavedTabProperties(ti, windowId, cookieStoreIds),
+    }));
+
+  await createTabsQueued(items, progress, async (ti, tab) => {
+    const groupId = parseInt(ti.groupId, 10);
+    await browser.sessions.setTabValue(tab.id, 'groupId', groupId);
+
+    remainingTabs.set(groupId, remainingTabs.get(groupId) - 1);
+    if (
+      remainingTabs.get(groupId) === 0 &&
+      groups.some((group) => group.id === groupId)
+    ) {
+      progress.groups.done += 1;
+    }
+  });
+}
+
+/**
+ * Open each window of a backup in a new browser window
+ * Windows are opened one after the other and no new tabs are created once
+ * the restore is cancelled.
+ * @param {object} data - Backup in the current format
+ * @param {object} progress - Progress of the restore, see restore-queue.js
+ */
+export async function openBackup(data, progress) {
+  // The background stops treating new tabs as restored ones when this port
+  // closes, even if the page is closed in the middle of the restore
+  const port = browser.runtime.connect({ name: 'openingBackup' });
+  progress.windows.total = data.windows.length;
+  progress.update();
+
+  try {
+    await data.windows.reduce(async (previous, wi) => {
+      await previous;
+      if (progress.cancelled) {
+        return;
+      }
+
+      const window = await browser.windows.create({});
+      await browser.windows.update(window.id, wi.position || {});
+
+      await openBackupWindow(wi, window.id, progress);
+
+      if ((await currentOptions).view === 'freeform') {
+        // Show freeform view
+        const freeformViewTab = await browser.tabs.create({
+          url: '/view.html',
+          active: true,
+          windowId: window.id,
+        });
+        await browser.sessions.setTabValue(freeformViewTab.id, 'groupId', -1);
+      } else {
+        // Remove the "New tab"-tab
+        const activeNewTabs = await browser.tabs.query({
+          windowId: window.id,
+          active: true,
+        });
+        if (activeNewTabs.length === 1) {
+          await browser.tabs.remove(activeNewTabs[0].id);
+        }
+      }
+
+      progress.windows.done += 1;
+      progress.update();
+    }, Promise.resolve());
+  } finally {
+    port.disconnect();
+    progress.finished = true;
+    progress.update();
+  }
+}
+
+/**
+ * Get the date and time for file names, like 20240131-235959
+ */
+export function makeDateString() {
+  const pad = function padNum(num) {
+    const s = `00${num}`;
+    return s.substr(-2);
+  };
+
+  const date = new Date();
+  let string = '';
+
+  string += pad(date.getFullYear());
+  string += pad(date.getMonth() + 1);
+  string += pad(date.getDate());
+  string += '-';
+  string += pad(date.getHours());
+  string += pad(date.getMinutes());
+  string += pad(date.getSeconds());
+
+  return string;
+}
+
+/**
+ * Get the color of a group, as chosen in the browser if it has a native group
+ */
+async function getGroupColor(group) {
+  if (group.nativeGroupId !== undefined && group.nativeGroupId !== null) {
+    try {
+      return (await browser.tabGroups.get(group.nativeGroupId)).color;
+    } catch (error) {
+      // The native group is gone
+    }
+  }
+  return getColorForGroupId(group.id);
+}
+
+/**
+ * Get the groups and tabs of a browser window in the backup format
+ * @param {number} windowId - The window ID
+ * @returns {Promise<object>} Window of a backup
+ */
+export async function getBackupWindow(windowId) {
+  const groups = await browser.sessions.getWindowValue(windowId, 'groups');
+  const groupIndex = await browser.sessions.getWindowValue(
+    windowId,
+    'groupIndex',
+  );
+  const activeGroup = await browser.sessions.getWindowValue(
+    windowId,
+    'activeGroup',
+  );
+  const browserWindow = await browser.windows.get(windowId);
+
+  const data = {
+    position: {
+      left: browserWindow.left,
+      top: browserWindow.top,
+      width: browserWindow.width,
+      height: browserWindow.height,
+    },
+    groups: [],
+    tabs: [],
+    activeGroup,
+    groupIndex,
+  };
+
+  if (groups) {
+    data.groups = await Promise.all(
+      groups.map(async (gi) => {
+        const group = { color: await getGroupColor(gi) };
+        BACKUP_GROUP_PROPERTIES.forEach((property) => {
+          if (gi[property] !== undefined) {
+            group[property] = gi[property];
+          }
+        });
+        return group;
+      }),
+    );
+  }
+
+  const tabs = await browser.tabs.query({ windowId });
+
+  // Use Promise.all to wait for all tab processing to complete
+  await Promise.all(
+    tabs.map(async (tab) => {
+      const groupId = await browser.sessions.getTabValue(tab.id, 'groupId');
+
+      if (groupId !== -1) {
+        data.tabs.push({
+          url: tab.url,
+          title: tab.title,
+          favIconUrl: tab.favIconUrl,
+          groupId,
+          index: tab.index,
+          lastAccessed: tab.lastAccessed,
+          pinned: tab.pinned,
+          cookieStoreId: tab.cookieStoreId,
+        });
+      }
+    }),
+  );
+
+  return data;
+}
+
+/**
+ * Get the groups and tabs of all windows as a backup
+ * @returns {Promise<object>} Backup in the panoramaView format
+ */
+export async function getBackup() {
+  const data = {
+    file: {
+      type: BACKUP_TYPE,
+      version: BACKUP_VERSION,
+      created: Date.now(),
+    },
+    windows: [],
+  };
+
+  const windows = await browser.windows.getAll({});
+
+  // Use Promise.all to wait for all window processing to complete
+  data.windows = await Promise.all(windows.map((wi) => getBackupWindow(wi.id)));
+
+  return data;
+}
+
+/**
+ * Download a file written by the add-on
+ * @param {string} content - Content of the file
+ * @param {string} type - MIME type of the file
+ * @param {string} filename - Name of the file
+ * @param {object} [settings]
+ * @param {string} [settings.folder] - Subfolder of the downloads folder
+ * @param {boolean} [settings.saveAs] - Let the user choose the file
+ * @returns {Promise<{downloadId: number, url: string}>} The download and the
+ *   object URL of the file, to be revoked when the download is done
+ */
+export async function downloadFile(
+  content,
+  type,
+  filename,
+  { folder = '', saveAs = true } = {},
+) {
+  const blob = new Blob([content], { type });
+  const dataUrl = window.URL.createObjectURL(blob);
+
+  const downloadId = await browser.downloads.download({
+    url: dataUrl,
+    filename: folder ? `${folder}/${filename}` : filename,
+    conflictAction: 'uniquify',
+    saveAs,
+  });
+  return { downloadId, url: dataUrl };
+}
+
+/**
+ * Download a backup as a JSON file
+ * @param {object} data - Backup in the panoramaView format
+ * @param {object} [settings] - See downloadFile()
+ * @returns {Promise<{downloadId: number, url: string}>} See downloadFile()
+ */
+export function downloadBackup(data, settings) {
+  return downloadFile(
+    JSON.stringify(data, null, '\t'),
+    'application/json',
+    `panoramaView-backup-${makeDateString()}.json`,
+    settings,
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * Containers - Link groups to Firefox containers (contextual identities)
+ *
+ * A group's containerId holds the cookieStoreId of its container. The
+ * historical values 'browser-default' and 'firefox-default' mean the group
+ * isn't linked to a container.
+ */
+
+export const DEFAULT_COOKIE_STORE_ID = 'firefox-default';
+
+/**
+ * @param {string} containerId - containerId of a group
+ * @returns {boolean} True if the group is linked to a container
+ */
+export function isContainerId(containerId) {
+  return (
+    typeof containerId === 'string' &&
+    containerId !== 'browser-default' &&
+    containerId !== DEFAULT_COOKIE_STORE_ID
+  );
+}
+
+/**
+ * Get all containers of the browser
+ * @returns {Promise<Array<object>>} Contextual identities, empty if containers
+ *   are disabled
+ */
+export async function getContainers() {
+  try {
+    return (await browser.contextualIdentities.query({})) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Get the container a group is linked to
+ * @param {string} containerId - containerId of a group
+ * @returns {Promise<object|null>} Contextual identity, or null if the group
+ *   isn't linked or its container was removed
+ */
+export async function getContainer(containerId) {
+  if (!isContainerId(containerId)) {
+    return null;
+  }
+  try {
+    return await browser.contextualIdentities.get(containerId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the cookieStoreId new tabs of a group should open with
+ * @param {string} containerId - containerId of a group
+ * @returns {Promise<string|undefined>} cookieStoreId for browser.tabs.create(),
+ *   undefined to use the default one
+ */
+export async function getNewTabCookieStoreId(containerId) {
+  const container = await getContainer(containerId);
+  return container ? container.cookieStoreId : undefined;
+}
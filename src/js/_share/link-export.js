@@ -0,0 +1,166 @@
+/**
+ * Link Export - Write the tabs of groups as files for people without the
+ * add-on: Markdown link lists, Netscape bookmark HTML or CSV
+ *
+ * The formats take windows in the backup format, see getBackupWindow().
+ */
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * List the groups of the windows with their tabs, in the order of the view
+ * Extension pages, like the view itself, are left out.
+ * @param {Array<object>} windows - Windows in the backup format
+ * @returns {Array<Array<{name: string, tabs: Array<object>}>>} Groups of
+ *   each window that have tabs
+ */
+function getLinkGroups(windows) {
+  const extensionUrl = browser.runtime.getURL('');
+
+  return windows.map((wi) =>
+    wi.groups
+      .map((group) => ({
+        name: group.name,
+        tabs: wi.tabs
+          .filter(
+            (tab) =>
+              parseInt(tab.groupId, 10) === group.id &&
+              !tab.url.startsWith(extensionUrl),
+          )
+          .sort((a, b) => a.index - b.index),
+      }))
+      .filter((group) => group.tabs.length > 0),
+  );
+}
+
+function formatMarkdown(windowGroups) {
+  const headingLevel = windowGroups.length > 1 ? '###' : '##';
+  const markdownTitle = (text) => text.replace(/([\\[\]])/g, '\\$1');
+  const markdownUrl = (url) =>
+    url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20');
+
+  return windowGroups
+    .map((groups, index) => {
+      const lines = groups.map((group) =>
+        [
+          `${headingLevel} ${group.name}`,
+          '',
+          ...group.tabs.map(
+            (tab) =>
+              `- [${markdownTitle(tab.title || tab.url)}](${markdownUrl(tab.url)})`,
+          ),
+        ].join('\n'),
+      );
+      if (windowGroups.length > 1) {
+        lines.unshift(`## Window ${index + 1}`);
+      }
+      return lines.join('\n\n');
+    })
+    .join('\n\n')
+    .concat('\n');
+}
+
+function formatBookmarksHtml(windowGroups) {
+  const addDate = Math.floor(Date.now() / 1000);
+  const folder = (name, items, indent) => [
+    `${indent}<DT><H3 ADD_DATE="${addDate}">${escapeHtml(name)}</H3>`,
+    `${indent}<DL><p>`,
+    ...items,
+    `${indent}</DL><p>`,
+  ];
+  const groupFolder = (group, indent) =>
+    folder(
+      group.name,
+      group.tabs.map(
+        (tab) =>
+          `${indent}    <DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`,
+      ),
+      indent,
+    );
+
+  const items =
+    windowGroups.length > 1
+      ? windowGroups.flatMap((groups, index) =>
+          folder(
+            `Window ${index + 1}`,
+            groups.flatMap((group) => groupFolder(group, '        ')),
+            '    ',
+          ),
+        )
+      : (windowGroups[0] || []).flatMap((group) => groupFolder(group, '    '));
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    ...items,
+    '</DL><p>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Quote a CSV field
+ * Fields starting like a formula are prefixed with ' so spreadsheets show
+ * them as text.
+ */
+function csvField(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(windowGroups) {
+  const rows = [['window', 'group', 'title', 'url']];
+  windowGroups.forEach((groups, index) => {
+    groups.forEach((group) => {
+      group.tabs.forEach((tab) => {
+        rows.push([index + 1, group.name, tab.title || '', tab.url]);
+      });
+    });
+  });
+  return rows
+    .map((row) => row.map(csvField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+export const LINK_EXPORT_FORMATS = {
+  markdown: { extension: 'md', type: 'text/markdown', format: formatMarkdown },
+  html: { extension: 'html', type: 'text/html', format: formatBookmarksHtml },
+  csv: { extension: 'csv', type: 'text/csv', format: formatCsv },
+};
+
+/**
+ * Write the groups of windows in an export format
+ * @param {Array<object>} windows - Windows in the backup format
+ * @param {string} format - Key of LINK_EXPORT_FORMATS
+ * @returns {{content: string, type: string, extension: string}} The file
+ */
+export function formatLinks(windows, format) {
+  const { extension, type, format: write } = LINK_EXPORT_FORMATS[format];
+  return { content: write(getLinkGroups(windows)), type, extension };
+}
+
+/**
+ * Make a file name from a group name
+ * @param {string} name - Group name
+ * @returns {string} Name without characters file systems don't allow
+ */
+export function getExportFileName(name) {
+  const fileName = name
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+  return fileName || 'tabs';
+}
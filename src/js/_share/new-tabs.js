@@ -0,0 +1,71 @@
+/**
+ * New Tabs - Pages and container new tabs of a group open with
+ *
+ * Groups may carry:
+ * {
+ *   newTabUrl: string, // Page of new tabs, '' for the browser's new tab page
+ *   startupUrls: Array<string>, // Pages opened when the empty group is activated
+ * }
+ */
+
+import { getNewTabCookieStoreId } from './containers.js';
+
+// Pages of a blank new tab, which can be replaced without loss
+export const NEW_TAB_URLS = ['about:newtab', 'about:home'];
+
+/**
+ * Turn user input into a URL extensions are allowed to open
+ * Input without a scheme is taken to be a web address.
+ * @param {string} text - URL as typed by the user
+ * @returns {string|null} The URL, '' for empty input or null if it's invalid
+ */
+export function normalizeUrl(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed === '') {
+    return '';
+  }
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed)
+    ? trimmed
+    : `https://${trimmed}`;
+  try {
+    const url = new URL(withScheme);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a list of URLs, one per line
+ * @param {string} text - URLs as typed by the user
+ * @returns {{urls: Array<string>, invalid: Array<string>}} Valid URLs and the
+ *   lines that aren't
+ */
+export function parseUrlList(text) {
+  const urls = [];
+  const invalid = [];
+
+  (text || '').split('\n').forEach((line) => {
+    const url = normalizeUrl(line);
+    if (url === null) {
+      invalid.push(line.trim());
+    } else if (url !== '') {
+      urls.push(url);
+    }
+  });
+  return { urls, invalid };
+}
+
+/**
+ * Get the properties new tabs of a group are created with
+ * @param {object} group - Group object
+ * @returns {Promise<{cookieStoreId: string|undefined, url: string|undefined}>}
+ *   Properties for browser.tabs.create(), undefined ones use the defaults
+ */
+export async function getNewTabProperties(group) {
+  return {
+    cookieStoreId: await getNewTabCookieStoreId(group.containerId),
+    url: group.newTabUrl || undefined,
+  };
+}
@@ -1,3 +1,5 @@
+import { ACTIVATE_GROUP_COMMANDS } from '../background/constants.js';
+
 export const defaultOptions = (() => {
   const majorVersion = parseInt(browser.runtime.getManifest().version, 10);
 
@@ -9,6 +11,25 @@ export const defaultOptions = (() => {
   let options = {
     toolbarPosition: 'top',
     useNativeGroups: hasTabGroupsAPI, // Default: enabled if API available
+    followMovedTabs: true,
+    groupCycleOrder: 'array', // 'array' or 'recent'
+    newTabPlacement: 'opener', // 'opener', 'active' or 'ask'
+    groupRules: [], // See background/group-rules.js
+    switchToRuledGroup: false,
+    groupRulesOnNavigation: true, // Also route tabs that navigate
+    autoDiscardEnabled: false,
+    autoDiscardMinutes: 30,
+    autoDiscardExemptPinned: true,
+    autoDiscardExemptAudible: true, // Tabs playing sound
+    autoBackupInterval: 'off', // 'off', 'startup', 'hourly' or 'daily'
+    autoBackupCount: 10, // Backups kept, older ones are deleted
+    bookmarkMirror: false, // See background/bookmark-mirror.js
+    bookmarkMirrorRoot: 'Panorama Tab Groups',
+    bookmarkMirrorConflicts: 'merge', // 'merge', 'tabs' or 'bookmarks'
+    bookmarkMirrorCloseTabs: false, // Close tabs whose bookmark was deleted
+    switchToBookmarkGroup: false, // After opening a bookmark folder as group
+    groupSync: false, // See background/group-sync.js
+    groupSyncDeviceName: '', // Empty for the name of the operating system
     shortcut: {
       'activate-next-group': {
         disabled: false,
@@ -16,6 +37,22 @@ export const defaultOptions = (() => {
       'activate-previous-group': {
         disabled: false,
       },
+      'activate-recent-group': {
+        disabled: false,
+      },
+      'move-tab-to-next-group': {
+        disabled: false,
+      },
+      'move-tab-to-previous-group': {
+        disabled: false,
+      },
+      // groupId binds the slot to a specific group instead of a position
+      ...Object.fromEntries(
+        ACTIVATE_GROUP_COMMANDS.map((command) => [
+          command,
+          { disabled: false, groupId: null },
+        ]),
+      ),
     },
   };
 
@@ -41,6 +78,9 @@ export const defaultOptions = (() => {
 export async function loadOptions() {
   const options = await browser.storage.sync.get(defaultOptions);
 
+  // Stored shortcut settings may predate newer commands
+  options.shortcut = { ...defaultOptions.shortcut, ...options.shortcut };
+
   return options;
 }
 
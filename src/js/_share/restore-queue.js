@@ -0,0 +1,100 @@
+/**
+ * Restore Queue - Create the tabs of a restore a few at a time
+ *
+ * Creating hundreds of tabs at once freezes the browser, so tabs are created
+ * by at most RESTORE_CONCURRENCY workers. A progress object counts what's
+ * done and collects the tabs that couldn't be created:
+ * {
+ *   windows: { done: number, total: number },
+ *   groups: { done: number, total: number },
+ *   tabs: { done: number, total: number },
+ *   failures: Array<{ url: string, title: string, error: string }>,
+ *   cancelled: boolean, // No new tabs are created once set
+ *   finished: boolean,
+ * }
+ */
+
+const RESTORE_CONCURRENCY = 4;
+// Attempts to create a tab before it counts as failed
+const RESTORE_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 500;
+
+/**
+ * Create the progress of a restore
+ * @param {Function} [onUpdate] - Called with the progress when it changes
+ * @returns {object} Progress, see the module description
+ */
+export function createRestoreProgress(onUpdate = () => {}) {
+  return {
+    windows: { done: 0, total: 0 },
+    groups: { done: 0, total: 0 },
+    tabs: { done: 0, total: 0 },
+    failures: [],
+    cancelled: false,
+    finished: false,
+    update() {
+      onUpdate(this);
+    },
+  };
+}
+
+const wait = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
+/**
+ * Create a tab, trying again after a short pause if it fails
+ * @param {object} properties - Properties for tabs.create()
+ * @param {number} [attempt] - Number of the attempt
+ * @returns {Promise<object>} The tab, rejects with the last error
+ */
+async function createTabWithRetry(properties, attempt = 1) {
+  try {
+    return await browser.tabs.create(properties);
+  } catch (error) {
+    if (attempt >= RESTORE_ATTEMPTS) {
+      throw error;
+    }
+    await wait(RETRY_DELAY_MS * attempt);
+    return createTabWithRetry(properties, attempt + 1);
+  }
+}
+
+/**
+ * Create tabs through the queue
+ * Tabs that can't be created are added to the failures of the progress.
+ * @param {Array<object>} items - Saved tabs, each with the properties for
+ *   tabs.create() in createProperties
+ * @param {object} progress - Progress of the restore
+ * @param {Function} onCreated - Called with each saved tab and its new tab
+ */
+export async function createTabsQueued(items, progress, onCreated) {
+  let next = 0;
+
+  // Each worker creates one tab after the other until none are left
+  async function work() {
+    if (next >= items.length || progress.cancelled) {
+      return;
+    }
+    const item = items[next];
+    next += 1;
+    try {
+      const tab = await createTabWithRetry(item.createProperties);
+      await onCreated(item, tab);
+    } catch (error) {
+      progress.failures.push({
+        url: item.url,
+        title: item.title,
+        error: error.message,
+      });
+    }
+    progress.tabs.done += 1;
+    progress.update();
+    await work();
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(RESTORE_CONCURRENCY, items.length) }, work),
+  );
+}
@@ -5,7 +5,75 @@ import {
   getColorForGroupId,
   getLowestPositiveGroupId,
 } from './background/utils.js';
-import { createMenuList, handleMenuChange } from './background/menu-manager.js';
+import {
+  SLEEP_GROUP_MENU_ID,
+  WAKE_GROUP_MENU_PREFIX,
+  OPEN_FOLDER_MENU_ID,
+  createMenuList,
+  handleMenuChange,
+  updateGroupSleepMenuItems,
+  updateOpenFolderMenuItem,
+} from './background/menu-manager.js';
+import { findMatchingRule } from './background/group-rules.js';
+import {
+  AUTO_DISCARD_ALARM,
+  scheduleAutoDiscard,
+  discardInactiveGroups,
+} from './background/auto-discard.js';
+import {
+  AUTO_BACKUP_ALARM,
+  scheduleAutoBackup,
+  runAutoBackup,
+  waitForDownload,
+} from './background/auto-backup.js';
+import {
+  addArchivedGroup,
+  getArchivedGroup,
+  getArchivedGroups,
+  purgeArchivedGroup,
+  setArchivedTabs,
+} from './background/archive.js';
+import {
+  deleteWorkspace,
+  getWorkspace,
+  getWorkspaces,
+  putWorkspace,
+} from './background/workspaces.js';
+import {
+  BOOKMARK_MIRROR_ALARM,
+  setBookmarkMirrorAlarm,
+  syncBookmarkMirror,
+  scheduleBookmarkMirror,
+  scheduleBookmarkMirrorForMove,
+  setBookmarkMirrorListeners,
+  unlinkGroupFolder,
+} from './background/bookmark-mirror.js';
+import {
+  GROUP_SYNC_ALARM,
+  getRemoteDevices,
+  publishGroups,
+  schedulePublishGroups,
+  setGroupSyncAlarm,
+} from './background/group-sync.js';
+import {
+  takeSnapshot,
+  getSnapshot,
+  reassignSnapshotTabs,
+} from './background/snapshots.js';
+import {
+  downloadFile,
+  getBackupWindow,
+  getSavedTabProperties,
+  openBackupWindow,
+} from './_share/backup.js';
+import { formatLinks, getExportFileName } from './_share/link-export.js';
+import { BACKUP_GROUP_PROPERTIES } from './_share/backup-format.js';
+import {
+  createRestoreProgress,
+  createTabsQueued,
+} from './_share/restore-queue.js';
+import { DEFAULT_COOKIE_STORE_ID, getContainers } from './_share/containers.js';
+import { NEW_TAB_URLS, getNewTabProperties } from './_share/new-tabs.js';
 import {
   migrateToHybridGroups,
   setupTabGroupListeners,
@@ -16,7 +84,10 @@ import {
   UNGROUPED_GROUP_ID,
   INITIALIZATION_TIMEOUT_MS,
   SHOW_LOADING_UI_AFTER_MS,
+  ACTIVATE_GROUP_COMMAND_PREFIX,
+  GROUP_CYCLE_TIMEOUT_MS,
   isReservedGroupId,
+  isValidUserGroupId,
 } from './background/constants.js';
 
 const manifest = browser.runtime.getManifest();
@@ -175,9 +246,60 @@ async function shouldUseNativeGroups() {
 
 window.backgroundState = {
   openingView: null, // Changed: stores { tabId, timeout, windowId } or null
-  openingBackup: false,
+  openingBackup: 0, // Running operations that open tabs themselves
+  ownTabIds: new Set(), // Single tabs the add-on opened, see createOwnTab()
+  creatingOwnTabs: new Set(), // Their tabs.create() calls still running
 };
 
+/**
+ * Keep tabCreated, group rules and new windows away from the tabs the add-on
+ * opens itself, until the returned function is called
+ * Operations may overlap, the state holds until the last one is done.
+ * @returns {Function} Ends the operation, calling it again does nothing
+ */
+function holdOpeningBackup() {
+  window.backgroundState.openingBackup += 1;
+  let held = true;
+  return () => {
+    if (held) {
+      held = false;
+      window.backgroundState.openingBackup -= 1;
+    }
+  };
+}
+
+/**
+ * Open a tab that tabCreated leaves alone, while other tabs opened meanwhile
+ * are handled as usual
+ * @param {object} properties - Properties for tabs.create()
+ * @returns {Promise<object>} The created tab
+ */
+async function createOwnTab(properties) {
+  const { ownTabIds, creatingOwnTabs } = window.backgroundState;
+  const creating = browser.tabs.create(properties);
+  creatingOwnTabs.add(creating);
+  try {
+    const tab = await creating;
+    ownTabIds.add(tab.id);
+    return tab;
+  } finally {
+    creatingOwnTabs.delete(creating);
+  }
+}
+
+/**
+ * Check if a tab was opened by createOwnTab(), forgetting it
+ * onCreated may fire before tabs.create() returns the ID, so the running
+ * creations are waited for.
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<boolean>}
+ */
+async function takeOwnTab(tabId) {
+  const { ownTabIds, creatingOwnTabs } = window.backgroundState;
+  await Promise.allSettled(creatingOwnTabs);
+  return ownTabIds.delete(tabId);
+}
+
 // Per-window state tracking for multi-window support
 window.windowStates = new Map(); // windowId -> { viewTabId }
 
@@ -211,7 +333,14 @@ async function setActionTitle(windowId, activeGroup = null) {
   browser.action.setBadgeBackgroundColor({ color: '#666666' });
 }
 
-async function toggleVisibleTabs(activeGroup, noTabSelected) {
+/**
+ * Show the tabs of the active group and hide all others
+ * @param {number} activeGroup - Group to show
+ * @param {boolean} [noTabSelected] - Select a tab of the group
+ * @param {number} [targetWindowId] - Window to update, the current one if
+ *   undefined
+ */
+async function toggleVisibleTabs(activeGroup, noTabSelected, targetWindowId) {
   const toggleStartTime = Date.now();
   if (DEBUG) {
     const stack = new Error().stack.split('\n').slice(2, 5).join('\n');
@@ -243,8 +372,8 @@ async function toggleVisibleTabs(activeGroup, noTabSelected) {
   }
 
   // Show and hide the appropriate tabs
-  const tabs = await browser.tabs.query({ currentWindow: true });
-  const windowId = (await browser.windows.getCurrent()).id;
+  const windowId = targetWindowId ?? (await browser.windows.getCurrent()).id;
+  const tabs = await browser.tabs.query({ windowId });
 
   const showTabIds = [];
   const hideTabIds = [];
@@ -412,7 +541,7 @@ async function toggleVisibleTabs(activeGroup, noTabSelected) {
 }
 
 async function moveTab(tabId, groupId) {
-  const windowId = (await browser.windows.getCurrent()).id;
+  const { windowId } = await browser.tabs.get(tabId);
   await stateManager.setTabGroup(tabId, groupId);
 
   // Also move tab to native browser group if available (but only for visible tabs)
@@ -449,74 +578,404 @@ async function moveTab(tabId, groupId) {
 
   const activeGroup = await stateManager.getActiveGroup(windowId);
   await toggleVisibleTabs(activeGroup);
+  scheduleBookmarkMirrorForMove();
 }
 
-async function menuClicked(info, tab) {
-  switch (info.menuItemId) {
-    case 'refresh-groups': {
-      browser.menus.removeAll();
-      createMenuList();
-      break;
-    }
-    default: {
-      // see if we're sending multiple tabs
-      const tabs = await browser.tabs.query({ highlighted: true });
-      // if you select multiple tabs, your active tab is selected as well
-      // and needs to be filtered out
-      if (tabs.length > 1) {
-        const activeTabId = (await browser.tabs.query({ active: true }))[0].id;
-        tabs.forEach((tempTab) => {
-          const tabId = tempTab.id;
-          if (tabId !== activeTabId) {
-            moveTab(tabId, info.menuItemId);
-          }
-        });
-      } else {
-        // otherwise just use the tab where the menu was clicked from
-        // if you don't do multiselect, but just right click, the tab isn't actually highlighted
-        const activeTabId = (await browser.tabs.query({ active: true }))[0].id;
-        if (activeTabId === tab.id) {
-          const visibleTabs = await browser.tabs.query({ hidden: false });
+/**
+ * Open the startup pages of a group that has no tabs
+ * Without startup pages a single new tab is opened, so there's a tab to show.
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ */
+async function openStartupTabs(windowId, groupId) {
+  const tabs = await browser.tabs.query({ windowId, pinned: false });
+  const tabGroupIds = await stateManager.getTabGroups(
+    tabs.map((tab) => tab.id),
+  );
+  if (tabGroupIds.includes(groupId)) {
+    return;
+  }
 
-          // find position of active tab among visible tabs
-          let tabIndex = 0;
-          visibleTabs.forEach((visibleTab, index) => {
-            if (visibleTab.id === tab.id) {
-              tabIndex = parseInt(index, 10);
-            }
-          });
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const group = groups.find(({ id }) => id === groupId);
+  if (!group) {
+    return;
+  }
 
-          // find neighboring tab and make it the active tab
-          let newActiveTab = tab;
-          if (visibleTabs[tabIndex - 1] !== undefined) {
-            newActiveTab = visibleTabs[tabIndex - 1];
-          } else if (visibleTabs[tabIndex + 1] !== undefined) {
-            newActiveTab = visibleTabs[tabIndex + 1];
-          }
-          await browser.tabs.update(newActiveTab.id, { active: true });
-        }
+  const { cookieStoreId, url } = await getNewTabProperties(group);
+  const urls = group.startupUrls?.length ? group.startupUrls : [url];
 
-        moveTab(tab.id, info.menuItemId);
-      }
-    }
+  await urls.reduce(async (previous, startupUrl, index) => {
+    await previous;
+    const tab = await browser.tabs.create({
+      windowId,
+      url: startupUrl,
+      cookieStoreId,
+      active: index === 0,
+    });
+    await stateManager.setTabGroup(tab.id, groupId);
+  }, Promise.resolve());
+}
+
+/** Make a group the active one in a window and show its tabs */
+async function activateGroup(windowId, groupId) {
+  await stateManager.setActiveGroup(windowId, groupId);
+  await openStartupTabs(windowId, groupId);
+  await toggleVisibleTabs(groupId, true, windowId);
+}
+
+/**
+ * Activate the group used before a group if that group is the active one
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ */
+async function leaveGroup(windowId, groupId) {
+  if ((await stateManager.getActiveGroup(windowId)) !== groupId) {
+    return;
+  }
+
+  const groups = await stateManager.getGroups(windowId);
+  const groupHistory = await stateManager.getGroupHistory(windowId);
+  const previousGroupId = groupHistory.find(
+    (id) => id !== groupId && groups.some((group) => group.id === id),
+  );
+  if (previousGroupId !== undefined) {
+    await activateGroup(windowId, previousGroupId);
   }
 }
 
-browser.menus.onClicked.addListener(menuClicked);
+/**
+ * Put a group to sleep by discarding all of its tabs
+ * An active group is left for the group used before it first.
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ */
+async function sleepGroup(windowId, groupId) {
+  if (!(await stateManager.setGroupSleeping(windowId, groupId, true))) {
+    return;
+  }
+
+  await leaveGroup(windowId, groupId);
+
+  // The active tab can't be discarded, so look for it after switching away
+  const tabs = await browser.tabs.query({
+    windowId,
+    pinned: false,
+    active: false,
+    discarded: false,
+  });
+  const tabGroupIds = await stateManager.getTabGroups(
+    tabs.map((tab) => tab.id),
+  );
+  const discardTabIds = tabs
+    .filter((tab, index) => tabGroupIds[index] === groupId)
+    .map((tab) => tab.id);
+  if (discardTabIds.length > 0) {
+    await browser.tabs.discard(discardTabIds);
+  }
+
+  if (DEBUG) {
+    console.debug(
+      `[Sleep] Group ${groupId} in window ${windowId} sleeps, discarded ${discardTabIds.length} tabs`,
+    );
+  }
+}
+
+/**
+ * Wake a sleeping group by activating it
+ * Activation clears the sleeping flag. Only the tab that gets selected is
+ * loaded, the others load when they are selected.
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ */
+async function wakeGroup(windowId, groupId) {
+  await activateGroup(windowId, groupId);
+}
+
+async function alarmFired(alarm) {
+  if (alarm.name === AUTO_DISCARD_ALARM) {
+    await waitForInitialization();
+    await discardInactiveGroups(await loadOptions(), DEBUG);
+  } else if (alarm.name === AUTO_BACKUP_ALARM) {
+    await waitForInitialization();
+    await runAutoBackup(await loadOptions(), DEBUG);
+  }
+}
+
+browser.alarms.onAlarm.addListener(alarmFired);
+
+async function backupOnStartup() {
+  const options = await loadOptions();
+  if (options.autoBackupInterval === 'startup') {
+    await waitForInitialization();
+    await runAutoBackup(options, DEBUG);
+  }
+}
+
+browser.runtime.onStartup.addListener(backupOnStartup);
+
+// Most recently used order, frozen while next/previous is pressed repeatedly
+let groupCycle = null; // { windowId, groupIds, position, timeout } or null
+
+/** Shift current active group by offset in most recently used order */
+async function cycleGroupsByRecentUse(windowId, groups, offset) {
+  if (!groupCycle || groupCycle.windowId !== windowId) {
+    const groupHistory = await stateManager.getGroupHistory(windowId);
+    const userGroupIds = groups
+      .map((group) => group.id)
+      .filter((id) => isValidUserGroupId(id));
+
+    groupCycle = {
+      windowId,
+      // Groups that were never activated follow in their array order
+      groupIds: [
+        ...groupHistory.filter((id) => userGroupIds.includes(id)),
+        ...userGroupIds.filter((id) => !groupHistory.includes(id)),
+      ],
+      position: 0,
+      timeout: null,
+    };
+  }
+
+  clearTimeout(groupCycle.timeout);
+  groupCycle.timeout = setTimeout(() => {
+    groupCycle = null;
+  }, GROUP_CYCLE_TIMEOUT_MS);
+
+  if (groupCycle.groupIds.length === 0) {
+    return;
+  }
+
+  groupCycle.position = mod(
+    groupCycle.position + offset,
+    groupCycle.groupIds.length,
+  );
+  await activateGroup(windowId, groupCycle.groupIds[groupCycle.position]);
+}
+
+/** Switch back to the group that was active before the current one */
+async function activateRecentGroup() {
+  const windowId = (await browser.windows.getCurrent()).id;
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const activeGroup = await stateManager.getActiveGroup(windowId);
+  const groupHistory = await stateManager.getGroupHistory(windowId);
+
+  const recentGroupId = groupHistory.find(
+    (id) => id !== activeGroup && groups.some((group) => group.id === id),
+  );
+
+  if (recentGroupId !== undefined) {
+    await activateGroup(windowId, recentGroupId);
+  }
+}
 
 /** Shift current active group by offset */
 async function changeActiveGroupBy(offset) {
+  const options = await loadOptions();
   const windowId = (await browser.windows.getCurrent()).id;
   const groups = await stateManager.getGroups(windowId);
 
-  let activeGroup = await stateManager.getActiveGroup(windowId);
+  if (options.groupCycleOrder === 'recent') {
+    await cycleGroupsByRecentUse(windowId, groups, offset);
+    return;
+  }
+
+  const activeGroup = await stateManager.getActiveGroup(windowId);
   const activeIndex = groups.findIndex((group) => group.id === activeGroup);
   const newIndex = activeIndex + offset;
 
-  activeGroup = groups[mod(newIndex, groups.length)].id;
-  await stateManager.setActiveGroup(windowId, activeGroup);
+  await activateGroup(windowId, groups[mod(newIndex, groups.length)].id);
+}
+
+/**
+ * Activate the visible tab closest to the active one that isn't being moved
+ * @param {number} windowId - The window ID
+ * @param {Array<number>} excludedTabIds - Tabs that are about to leave the group
+ * @returns {Promise<boolean>} False if no such tab exists
+ */
+async function activateRemainingTab(windowId, excludedTabIds) {
+  const visibleTabs = await browser.tabs.query({ windowId, hidden: false });
+  const activeTab = visibleTabs.find((tab) => tab.active);
+  const remainingTabs = visibleTabs.filter(
+    (tab) =>
+      !excludedTabIds.includes(tab.id) &&
+      tab.url !== browser.runtime.getURL('view.html'),
+  );
+
+  if (remainingTabs.length === 0) {
+    return false;
+  }
+
+  if (activeTab && excludedTabIds.includes(activeTab.id)) {
+    remainingTabs.sort(
+      (tabA, tabB) =>
+        Math.abs(tabA.index - activeTab.index) -
+        Math.abs(tabB.index - activeTab.index),
+    );
+    await browser.tabs.update(remainingTabs[0].id, { active: true });
+  }
+  return true;
+}
+
+/**
+ * Move the active tab, or every highlighted tab, to the group at offset
+ * Depending on the followMovedTabs option the window switches to that group
+ * or stays in the current one.
+ */
+async function moveHighlightedTabsBy(offset) {
+  const options = await loadOptions();
+  const windowId = (await browser.windows.getCurrent()).id;
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const userGroups = groups.filter((group) => isValidUserGroupId(group.id));
+
+  const activeGroup = await stateManager.getActiveGroup(windowId);
+  const activeIndex = userGroups.findIndex((group) => group.id === activeGroup);
+  if (activeIndex === -1 || userGroups.length < 2) {
+    return;
+  }
+  const targetGroupId =
+    userGroups[mod(activeIndex + offset, userGroups.length)].id;
+
+  const tabs = (
+    await browser.tabs.query({ windowId, highlighted: true })
+  ).filter((tab) => !tab.pinned);
+  if (tabs.length === 0) {
+    return;
+  }
+  const tabIds = tabs.map((tab) => tab.id);
+  if (tabIds.length > 1) {
+    await takeSnapshot('moveTabs');
+  }
+
+  // Staying is only possible while the current group keeps a tab to show
+  const follow =
+    options.followMovedTabs || !(await activateRemainingTab(windowId, tabIds));
+  if (follow) {
+    await stateManager.setActiveGroup(windowId, targetGroupId);
+  }
+
+  // One after the other, so the tabs keep their order in the new group
+  await tabIds.reduce(
+    (previous, tabId) => previous.then(() => moveTab(tabId, targetGroupId)),
+    Promise.resolve(),
+  );
+
+  if (follow) {
+    const activeTab = tabs.find((tab) => tab.active) || tabs[0];
+    await browser.tabs.update(activeTab.id, { active: true });
+  }
+}
+
+/**
+ * Move a tab to the group its URL is routed to by the group rules
+ * Rules handle a tab once: when it's opened, or when it first navigates to a
+ * matching URL while still in the group it was opened in, unless
+ * groupRulesOnNavigation is off. Tabs the user moved are left alone.
+ * The window follows an active tab into that group if switchToRuledGroup is
+ * set, otherwise the tab is tucked away in its group.
+ * @param {object} tab - Browser tab object
+ * @param {string} url - URL to match, which may be newer than tab.url
+ * @param {boolean} [navigated] - The tab navigated, rather than being opened
+ * @returns {Promise<boolean>} True if the tab was moved
+ */
+async function applyGroupRules(tab, url, navigated = false) {
+  if (window.backgroundState.openingBackup || tab.pinned) {
+    return false;
+  }
+
+  const currentGroupId = await stateManager.getTabGroup(tab.id);
+  if (
+    currentGroupId === undefined ||
+    currentGroupId === PANORAMA_VIEW_GROUP_ID
+  ) {
+    return false;
+  }
+  let ruleGroupId = await stateManager.getTabRuleGroup(tab.id);
+  if (ruleGroupId === undefined) {
+    ruleGroupId = currentGroupId;
+    await stateManager.setTabRuleGroup(tab.id, ruleGroupId);
+  }
+  // Handled by a rule before, or moved since it was opened
+  if (ruleGroupId !== currentGroupId) {
+    return false;
+  }
+
+  const options = await loadOptions();
+  if (navigated && !options.groupRulesOnNavigation) {
+    return false;
+  }
+  const rule = findMatchingRule(options.groupRules, url);
+  if (!rule) {
+    return false;
+  }
+
+  const groups = (await stateManager.getGroups(tab.windowId)) || [];
+  const targetGroup = groups.find(
+    (group) =>
+      isValidUserGroupId(group.id) && group.name === rule.groupName.trim(),
+  );
+  if (!targetGroup) {
+    if (DEBUG) {
+      console.debug(
+        `[GroupRules] No group named "${rule.groupName}" in window ${tab.windowId}`,
+      );
+    }
+    return false;
+  }
+
+  await stateManager.setTabRuleGroup(tab.id, null);
+  if (currentGroupId === targetGroup.id) {
+    return false;
+  }
+
+  const { active } = await browser.tabs.get(tab.id);
+  if (
+    active &&
+    (options.switchToRuledGroup ||
+      !(await activateRemainingTab(tab.windowId, [tab.id])))
+  ) {
+    await stateManager.setActiveGroup(tab.windowId, targetGroup.id);
+  }
+
+  await moveTab(tab.id, targetGroup.id);
+
+  if (DEBUG) {
+    console.debug(
+      `[GroupRules] Moved tab ${tab.id} to group ${targetGroup.id} (${rule.type}: ${rule.pattern})`,
+    );
+  }
+  return true;
+}
+
+/**
+ * Switch to the group of an activate-group-N command
+ * A slot bound to a group in the options wins over the group's position,
+ * unless that group doesn't exist in the current window.
+ * @param {string} command - activate-group-1 to activate-group-9 or activate-group-last
+ * @param {number|null} boundGroupId - Group bound to the slot in the options
+ */
+async function activateGroupBySlot(command, boundGroupId) {
+  const windowId = (await browser.windows.getCurrent()).id;
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const userGroups = groups.filter((group) => isValidUserGroupId(group.id));
+
+  let targetGroup = userGroups.find((group) => group.id === boundGroupId);
 
-  await toggleVisibleTabs(activeGroup, true);
+  if (!targetGroup) {
+    const slot = command.slice(ACTIVATE_GROUP_COMMAND_PREFIX.length);
+    const index =
+      slot === 'last' ? userGroups.length - 1 : parseInt(slot, 10) - 1;
+    targetGroup = userGroups[index];
+  }
+
+  if (!targetGroup) {
+    if (DEBUG) {
+      console.debug(`[Commands] No group for ${command} in window ${windowId}`);
+    }
+    return;
+  }
+
+  await activateGroup(windowId, targetGroup.id);
 }
 
 async function triggerCommand(command) {
@@ -530,6 +989,14 @@ async function triggerCommand(command) {
     await changeActiveGroupBy(1);
   } else if (command === 'activate-previous-group') {
     await changeActiveGroupBy(-1);
+  } else if (command === 'activate-recent-group') {
+    await activateRecentGroup();
+  } else if (command === 'move-tab-to-next-group') {
+    await moveHighlightedTabsBy(1);
+  } else if (command === 'move-tab-to-previous-group') {
+    await moveHighlightedTabsBy(-1);
+  } else if (command.startsWith(ACTIVATE_GROUP_COMMAND_PREFIX)) {
+    await activateGroupBySlot(command, options.shortcut[command].groupId);
   }
 }
 
@@ -602,21 +1069,252 @@ async function toggleView() {
   }
 }
 
-/** Callback function which will be called whenever a tab is opened */
-async function tabCreated(tab) {
-  if (window.backgroundState.openingBackup) {
-    return;
-  }
+/** Get a new UID for a group */
+async function newGroupUid(windowId) {
+  const groupIndex = await stateManager.getGroupIndex(windowId);
 
-  // Check if this is the panorama view tab
-  // Use multiple checks: tabId match, window match + recent creation, or URL match
-  const viewUrl = browser.runtime.getURL('view.html');
-  const now = Date.now();
-  const isViewTabById = window.backgroundState.openingView?.tabId === tab.id;
-  const isViewTabByWindow =
-    window.backgroundState.openingView?.windowId === tab.windowId &&
-    window.backgroundState.openingView?.creationTimestamp &&
-    now - window.backgroundState.openingView.creationTimestamp < 100;
+  const uid = groupIndex || 0;
+  const newGroupIndex = uid + 1;
+
+  await stateManager.setGroupIndex(windowId, newGroupIndex);
+
+  return uid;
+}
+
+// Group names of tabs being dragged to another window, by tab ID
+const detachedTabGroups = new Map();
+
+// Tabs waiting for the user to accept their origin group, by notification ID
+const pendingPlacements = new Map();
+
+/**
+ * Add an empty group to a window
+ * @param {number} windowId - Window ID
+ * @param {string} name - Group name
+ * @param {object} [properties] - Settings of the group like containerId
+ * @returns {Promise<number>} ID of the new group
+ */
+async function createNamedGroup(windowId, name, properties = {}) {
+  const groupId = await newGroupUid(windowId);
+  const groups = (await stateManager.getGroups(windowId)) || [];
+
+  groups.push({
+    id: groupId,
+    name,
+    containerId: 'browser-default',
+    nativeGroupId: null,
+    rect: {
+      x: 0,
+      y: 0,
+      w: 0.25,
+      h: 0.25,
+    },
+    lastMoved: new Date().getTime(),
+    ...properties,
+  });
+  await stateManager.setGroups(windowId, groups);
+
+  handleMenuChange({ action: 'createMenuItem', groupId, groupName: name });
+  return groupId;
+}
+
+/**
+ * Find the group a new tab logically belongs to
+ * That's the group it was dragged out of in another window, or else the
+ * group of the tab that opened it. Groups are matched by name across windows.
+ * @param {object} tab - Browser tab object
+ * @returns {Promise<{groupId: number|undefined, name: string}|null>} The
+ *   group, with an undefined groupId if the tab's window has no such group yet
+ */
+async function getOriginGroup(tab) {
+  let name;
+  let groupId;
+
+  if (detachedTabGroups.has(tab.id)) {
+    name = detachedTabGroups.get(tab.id);
+    detachedTabGroups.delete(tab.id);
+  } else if (tab.openerTabId !== undefined) {
+    let opener;
+    try {
+      opener = await browser.tabs.get(tab.openerTabId);
+    } catch (error) {
+      return null; // Opener is already closed
+    }
+    groupId = await stateManager.getTabGroup(opener.id);
+    if (!isValidUserGroupId(groupId)) {
+      return null;
+    }
+    const openerGroups = (await stateManager.getGroups(opener.windowId)) || [];
+    name = openerGroups.find((group) => group.id === groupId)?.name;
+    if (opener.windowId !== tab.windowId) {
+      groupId = undefined;
+    }
+  }
+
+  if (name === undefined) {
+    return null;
+  }
+
+  if (groupId === undefined) {
+    const groups = (await stateManager.getGroups(tab.windowId)) || [];
+    groupId = groups.find(
+      (group) => isValidUserGroupId(group.id) && group.name === name,
+    )?.id;
+  }
+  return { groupId, name };
+}
+
+/**
+ * Let the user move a tab to its origin group with a click on a notification
+ * @param {object} tab - Browser tab object
+ * @param {object} origin - Origin group, see getOriginGroup()
+ */
+async function offerOriginGroup(tab, origin) {
+  const notificationId = `panorama-placement-${tab.id}`;
+  pendingPlacements.set(notificationId, { tabId: tab.id, name: origin.name });
+
+  await browser.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/logo/logo-96.png'),
+    title: browser.i18n.getMessage('newTabPlacementNotificationTitle'),
+    message: browser.i18n.getMessage('newTabPlacementNotificationMessage', [
+      origin.name,
+    ]),
+  });
+}
+
+async function placementNotificationClicked(notificationId) {
+  const placement = pendingPlacements.get(notificationId);
+  if (!placement) {
+    return;
+  }
+  pendingPlacements.delete(notificationId);
+  browser.notifications.clear(notificationId);
+
+  let tab;
+  try {
+    tab = await browser.tabs.get(placement.tabId);
+  } catch (error) {
+    return; // Tab was closed in the meantime
+  }
+
+  const groups = (await stateManager.getGroups(tab.windowId)) || [];
+  let groupId = groups.find(
+    (group) => isValidUserGroupId(group.id) && group.name === placement.name,
+  )?.id;
+  if (groupId === undefined) {
+    groupId = await createNamedGroup(tab.windowId, placement.name);
+  }
+
+  if (tab.active) {
+    await stateManager.setActiveGroup(tab.windowId, groupId);
+  }
+  await moveTab(tab.id, groupId);
+}
+
+browser.notifications.onClicked.addListener(placementNotificationClicked);
+browser.notifications.onClosed.addListener((notificationId) => {
+  pendingPlacements.delete(notificationId);
+});
+
+/**
+ * Choose the group of a tab that doesn't have one yet
+ * Follows the newTabPlacement option: 'opener' puts the tab in its origin
+ * group, 'active' in the window's active group and 'ask' in the active group
+ * while offering to move it to the origin group.
+ * @param {object} tab - Browser tab object
+ * @param {number} activeGroup - Active group of the tab's window
+ * @returns {Promise<number>} Group ID for the tab
+ */
+async function chooseNewTabGroup(tab, activeGroup) {
+  const origin = await getOriginGroup(tab);
+  if (!origin || origin.groupId === activeGroup) {
+    return activeGroup;
+  }
+
+  const options = await loadOptions();
+  if (options.newTabPlacement === 'ask') {
+    await offerOriginGroup(tab, origin);
+    return activeGroup;
+  }
+  if (options.newTabPlacement !== 'opener') {
+    return activeGroup;
+  }
+
+  const groupId =
+    origin.groupId !== undefined
+      ? origin.groupId
+      : await createNamedGroup(tab.windowId, origin.name);
+
+  // The window follows an active tab into its group
+  if (tab.active) {
+    await stateManager.setActiveGroup(tab.windowId, groupId);
+  }
+  return groupId;
+}
+
+/**
+ * Give a blank new tab the page and container of its group
+ * The container of an existing tab can't be changed, so the tab is replaced
+ * if its group is linked to one. tabCreated skips the replacement, which is
+ * given the group here so it isn't routed like a tab of its own.
+ * @param {object} tab - Browser tab object
+ * @param {number} groupId - Group of the tab
+ * @returns {Promise<object|null>} The replacement tab, null if the tab was
+ *   kept
+ */
+async function applyGroupNewTabDefaults(tab, groupId) {
+  if (!NEW_TAB_URLS.includes(tab.url)) {
+    return null;
+  }
+
+  const groups = (await stateManager.getGroups(tab.windowId)) || [];
+  const group = groups.find(({ id }) => id === groupId);
+  if (!group) {
+    return null;
+  }
+
+  const { cookieStoreId, url } = await getNewTabProperties(group);
+  if (!cookieStoreId || tab.cookieStoreId !== DEFAULT_COOKIE_STORE_ID) {
+    if (url) {
+      await browser.tabs.update(tab.id, { url });
+    }
+    return null;
+  }
+
+  const containerTab = await createOwnTab({
+    windowId: tab.windowId,
+    index: tab.index,
+    active: tab.active,
+    cookieStoreId,
+    url,
+  });
+  await stateManager.setTabGroup(containerTab.id, groupId);
+  await browser.tabs.remove(tab.id);
+
+  if (DEBUG) {
+    console.debug(
+      `[TabCreated] Reopened tab ${tab.id} as ${containerTab.id} in container ${cookieStoreId}`,
+    );
+  }
+  return containerTab;
+}
+
+/** Callback function which will be called whenever a tab is opened */
+async function tabCreated(tab) {
+  if (window.backgroundState.openingBackup || (await takeOwnTab(tab.id))) {
+    return;
+  }
+
+  // Check if this is the panorama view tab
+  // Use multiple checks: tabId match, window match + recent creation, or URL match
+  const viewUrl = browser.runtime.getURL('view.html');
+  const now = Date.now();
+  const isViewTabById = window.backgroundState.openingView?.tabId === tab.id;
+  const isViewTabByWindow =
+    window.backgroundState.openingView?.windowId === tab.windowId &&
+    window.backgroundState.openingView?.creationTimestamp &&
+    now - window.backgroundState.openingView.creationTimestamp < 100;
   // Wait for initialization to complete before processing tab creation
   await waitForInitialization();
 
@@ -667,11 +1365,18 @@ async function tabCreated(tab) {
       await stateManager.setActiveGroup(tab.windowId, activeGroup);
     }
 
-    await stateManager.setTabGroup(tab.id, activeGroup);
-    tabGroupId = activeGroup;
+    tabGroupId = await chooseNewTabGroup(tab, activeGroup);
+    await stateManager.setTabGroup(tab.id, tabGroupId);
     console.debug(
-      `[TabCreated] Tab ${tab.id} created in window ${tab.windowId}, assigned to group ${activeGroup}`,
+      `[TabCreated] Tab ${tab.id} created in window ${tab.windowId}, assigned to group ${tabGroupId}`,
     );
+
+    const containerTab = await applyGroupNewTabDefaults(tab, tabGroupId);
+    if (containerTab) {
+      // Its own creation was skipped, now it's handled like a tab of the group
+      await tabCreated(containerTab);
+      return;
+    }
   } else if (DEBUG) {
     console.debug(
       `[TabCreated] Tab ${tab.id} created in window ${tab.windowId}, already has group ${tabGroupId}`,
@@ -749,7 +1454,7 @@ async function tabCreated(tab) {
           // Update the native group with title and color
           await browser.tabGroups.update(nativeGroupId, {
             title: currentGroup.name || `Group ${tabGroupId}`,
-            color: getColorForGroupId(tabGroupId),
+            color: currentGroup.color || getColorForGroupId(tabGroupId),
           });
 
           // Validate the native group was created in the correct window
@@ -841,6 +1546,24 @@ async function tabCreated(tab) {
   }
 }
 
+/** Callback function which will be called whenever a tab is opened,
+ * routing it by the group rules once it has its initial group
+ */
+async function routeCreatedTab(tab) {
+  await tabCreated(tab);
+  await applyGroupRules(tab, tab.url);
+}
+
+/** Callback function which will be called whenever a tab navigates */
+async function tabUpdated(tabId, changeInfo, tab) {
+  if (!changeInfo.url) {
+    return;
+  }
+
+  await waitForInitialization();
+  await applyGroupRules(tab, changeInfo.url, true);
+}
+
 async function tabAttached(tabId) {
   // Wait for initialization to complete
   await waitForInitialization();
@@ -849,8 +1572,18 @@ async function tabAttached(tabId) {
   await tabCreated(tab);
 }
 
-async function tabDetached(tabId) {
-  await browser.sessions.removeTabValue(tabId, 'groupId');
+async function tabDetached(tabId, detachInfo) {
+  // Remember the group by name, the group ID means nothing in another window
+  const groupId = await stateManager.getTabGroup(tabId);
+  if (isValidUserGroupId(groupId)) {
+    const groups = (await stateManager.getGroups(detachInfo.oldWindowId)) || [];
+    const group = groups.find(({ id }) => id === groupId);
+    if (group) {
+      detachedTabGroups.set(tabId, group.name);
+    }
+  }
+
+  await stateManager.removeTabGroup(tabId);
 }
 
 /** Callback function which will be called whenever the user switches tabs.
@@ -1024,7 +1757,7 @@ async function tabActivated(activeInfo) {
             // Update the native group with title and color
             await browser.tabGroups.update(nativeGroupId, {
               title: currentGroup.name || `Group ${activeGroup}`,
-              color: getColorForGroupId(activeGroup),
+              color: currentGroup.color || getColorForGroupId(activeGroup),
             });
 
             // Validate the native group was created in the correct window
@@ -1103,18 +1836,6 @@ async function tabActivated(activeInfo) {
   }
 }
 
-/** Get a new UID for a group */
-async function newGroupUid(windowId) {
-  const groupIndex = await stateManager.getGroupIndex(windowId);
-
-  const uid = groupIndex || 0;
-  const newGroupIndex = uid + 1;
-
-  await stateManager.setGroupIndex(windowId, newGroupIndex);
-
-  return uid;
-}
-
 /** Create the first group in a window
  * This handles new windows and, during installation, existing windows
  * that do not yet have a group */
@@ -1520,6 +2241,11 @@ async function init() {
   // Create menus after groups are initialized
   await createMenuList();
 
+  await scheduleAutoDiscard(options);
+  await scheduleAutoBackup(options);
+  await setBookmarkMirrorAlarm(options);
+  await setGroupSyncAlarm(options);
+
   if (DEBUG) {
     console.debug('Finished setup');
   }
@@ -1536,7 +2262,8 @@ async function init() {
 
   browser.commands.onCommand.addListener(triggerCommand);
   browser.windows.onCreated.addListener(createGroupInWindowIfMissing);
-  browser.tabs.onCreated.addListener(tabCreated);
+  browser.tabs.onCreated.addListener(routeCreatedTab);
+  browser.tabs.onUpdated.addListener(tabUpdated, { properties: ['url'] });
   browser.tabs.onAttached.addListener(tabAttached);
   browser.tabs.onDetached.addListener(tabDetached);
   browser.tabs.onActivated.addListener(tabActivated);
@@ -1582,7 +2309,8 @@ window.refreshView = async function refreshView() {
   browser.action.onClicked.removeListener(toggleView);
   browser.commands.onCommand.removeListener(triggerCommand);
   browser.windows.onCreated.removeListener(createGroupInWindowIfMissing);
-  browser.tabs.onCreated.removeListener(tabCreated);
+  browser.tabs.onCreated.removeListener(routeCreatedTab);
+  browser.tabs.onUpdated.removeListener(tabUpdated);
   browser.tabs.onAttached.removeListener(tabAttached);
   browser.tabs.onDetached.removeListener(tabDetached);
   browser.tabs.onActivated.removeListener(tabActivated);
@@ -1604,7 +2332,8 @@ window.refreshView = async function refreshView() {
 
   browser.commands.onCommand.addListener(triggerCommand);
   browser.windows.onCreated.addListener(createGroupInWindowIfMissing);
-  browser.tabs.onCreated.addListener(tabCreated);
+  browser.tabs.onCreated.addListener(routeCreatedTab);
+  browser.tabs.onUpdated.addListener(tabUpdated, { properties: ['url'] });
   browser.tabs.onAttached.addListener(tabAttached);
   browser.tabs.onDetached.addListener(tabDetached);
   browser.tabs.onActivated.addListener(tabActivated);
@@ -1672,6 +2401,10 @@ async function deleteGroupWithCleanup({
     );
   }
 
+  await takeSnapshot('deleteGroup');
+  // Closing the tabs must not empty the bookmark folder of the group
+  unlinkGroupFolder(windowId, groupId);
+
   try {
     // Step 1: Ungroup tabs from native group if applicable
     if (hasTabGroups && nativeGroupId !== undefined && nativeGroupId !== null) {
@@ -1759,93 +2492,1006 @@ async function deleteGroupWithCleanup({
   }
 }
 
-// TODO: Remove? Is this used?
-function handleMessage(message) {
-  if (message === 'activate-next-group') {
-    triggerCommand('activate-next-group');
-  } else if (message === 'activate-previous-group') {
-    triggerCommand('activate-previous-group');
-  } else {
-    console.error('Unknown external message:', message);
+/**
+ * Archive a group: store its tabs in the archive, then close them
+ * @param {object} params - Group to archive
+ * @param {number} params.windowId - The window ID
+ * @param {number} params.groupId - The group ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function archiveGroup({ windowId, groupId }) {
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const group = groups.find((g) => g.id === groupId);
+  if (!group || !isValidUserGroupId(groupId)) {
+    return { success: false, error: `No group ${groupId} to archive` };
   }
+
+  const tabs = await browser.tabs.query({ windowId });
+  const tabGroupIds = await stateManager.getTabGroups(
+    tabs.map((tab) => tab.id),
+  );
+  const groupTabs = tabs.filter((tab, index) => tabGroupIds[index] === groupId);
+
+  await addArchivedGroup(group, groupTabs);
+  await leaveGroup(windowId, groupId);
+
+  return deleteGroupWithCleanup({
+    groupId,
+    windowId,
+    nativeGroupId: group.nativeGroupId,
+    tabIds: groupTabs.map((tab) => tab.id),
+  });
 }
 
-// Handle internal extension messages
-function handleInternalMessage(message, sender, sendResponse) {
-  switch (message.action) {
-    case 'createMenuItem':
-    case 'removeMenuItem':
-    case 'updateMenuItem':
-      // Handle menu change messages
-      handleMenuChange(message);
-      break;
-    case 'deleteGroup':
-      // Handle complete group deletion with native cleanup
-      deleteGroupWithCleanup(message)
-        .then((response) => {
-          sendResponse(response);
-        })
-        .catch((error) => {
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep message channel open for async response
-    case 'cleanupNativeGroups':
-      // Handle cleanup when native groups option is disabled
+/**
+ * Open a saved tab unloaded in a window
+ * @param {object} savedTab - Tab of an archive or backup
+ * @param {number} windowId - The window ID
+ * @param {Array<string>} cookieStoreIds - Containers that still exist
+ * @returns {Promise<object|undefined>} The tab, undefined if it can't be opened
+ */
+async function createSavedTab(savedTab, windowId, cookieStoreIds) {
+  return browser.tabs
+    .create(getSavedTabProperties(savedTab, windowId, cookieStoreIds))
+    .catch((error) => {
       if (DEBUG) {
-        console.debug('[Message] cleanupNativeGroups action received');
+        console.debug(
+          `[Restore] Could not open ${savedTab.url}: ${error.message}`,
+        );
       }
-      cleanupNativeGroups(DEBUG)
-        .then(() => {
-          sendResponse({ success: true });
-        })
-        .catch((error) => {
-          console.error('[Message] Cleanup failed:', error);
-          sendResponse({ success: false, error: error.message });
-        });
-      return true; // Keep message channel open for async response
-    case 'setBackgroundState':
-      window.backgroundState[message.key] = message.value;
-      break;
-    case 'refreshView':
-      window.refreshView();
-      break;
-    case 'checkViewRefresh':
-      sendResponse({ viewRefreshOrdered: window.viewRefreshOrdered });
-      break;
-    case 'clearViewRefresh':
-      window.viewRefreshOrdered = false;
-      break;
-    case 'migrateToHybridGroups':
-      // Manual trigger for migration
-      migrateToHybridGroups(hasTabGroups, DEBUG)
-        .then(() => {
-          sendResponse({ success: true, message: 'Migration completed' });
-        })
-        .catch((error) => {
-          sendResponse({ success: false, message: error.message });
-        });
-      return true; // Keep channel open for async response
-    case 'resetMigration':
-      // Reset migration flag for testing
-      browser.storage.local
-        .set({ hybridGroupsMigrationComplete: false })
-        .then(() => {
-          sendResponse({ success: true, message: 'Migration flag reset' });
-        });
-      return true;
-    default:
-      console.error(
-        'Unknown internal message action:',
-        message.action,
-        message,
-      );
-      sendResponse({ error: `Unknown action: ${message.action}` });
-      break;
+    });
+}
+
+/**
+ * Open tabs unloaded in a group of a window
+ * The tabs are hidden unless the group is the active one.
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ * @param {Array<{url: string, title?: string}>} tabs - The tabs, titles are
+ *   shown until the tabs load
+ */
+async function openTabsInGroup(windowId, groupId, tabs) {
+  const tabIds = [];
+  await tabs.reduce(async (previous, savedTab) => {
+    await previous;
+    // Keep tabCreated from putting the tab into the active group, tabs the
+    // user opens meanwhile are grouped as usual
+    const tab = await createOwnTab(
+      getSavedTabProperties(savedTab, windowId, []),
+    ).catch((error) => {
+      if (DEBUG) {
+        console.debug(
+          `[Restore] Could not open ${savedTab.url}: ${error.message}`,
+        );
+      }
+    });
+    if (tab) {
+      await stateManager.setTabGroup(tab.id, groupId);
+      tabIds.push(tab.id);
+    }
+  }, Promise.resolve());
+
+  const activeGroup = await stateManager.getActiveGroup(windowId);
+  if (hasTabHide && tabIds.length > 0 && activeGroup !== groupId) {
+    await browser.tabs.hide(tabIds);
   }
-  return false;
 }
 
-browser.runtime.onMessage.addListener(handleInternalMessage);
+const bookmarkMirrorHelpers = {
+  createGroup: (windowId, name) => createNamedGroup(windowId, name),
+  openTabs: openTabsInGroup,
+};
+
+async function runBookmarkMirror() {
+  await waitForInitialization();
+  const options = await loadOptions();
+  // Keep the bookmark folders of groups up to date while the mirror is on
+  setBookmarkMirrorListeners(options, runBookmarkMirror);
+  await syncBookmarkMirror(options, bookmarkMirrorHelpers, DEBUG);
+}
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BOOKMARK_MIRROR_ALARM) {
+    runBookmarkMirror();
+  }
+});
+runBookmarkMirror();
+
+/**
+ * Open every bookmark of a folder and its subfolders unloaded in a new group
+ * The group is added to the last used window and named after the folder.
+ * Folders without bookmarks are left alone.
+ * @param {string} folderId - ID of the bookmark folder
+ */
+async function openBookmarkFolder(folderId) {
+  await waitForInitialization();
+  const [folder] = await browser.bookmarks.getSubTree(folderId);
+  const getBookmarks = (node) =>
+    node.type === 'bookmark'
+      ? [{ url: node.url, title: node.title }]
+      : (node.children || []).flatMap(getBookmarks);
+  const bookmarks = getBookmarks(folder);
+  if (bookmarks.length === 0) {
+    if (DEBUG) {
+      console.debug(`[Bookmarks] Folder "${folder.title}" has no bookmarks`);
+    }
+    return;
+  }
+
+  const { id: windowId } = await browser.windows.getLastFocused({
+    windowTypes: ['normal'],
+  });
+  const groupId = await createNamedGroup(windowId, folder.title);
+  await openTabsInGroup(windowId, groupId, bookmarks);
+
+  if ((await loadOptions()).switchToBookmarkGroup) {
+    await activateGroup(windowId, groupId);
+    await browser.windows.update(windowId, { focused: true });
+  }
+  if (DEBUG) {
+    console.debug(
+      `[Bookmarks] Opened folder "${folder.title}" as group ${groupId} in window ${windowId}`,
+    );
+  }
+}
+
+async function menuClicked(info, tab) {
+  switch (info.menuItemId) {
+    case 'refresh-groups': {
+      browser.menus.removeAll();
+      createMenuList();
+      break;
+    }
+    case OPEN_FOLDER_MENU_ID:
+      await openBookmarkFolder(info.bookmarkId);
+      break;
+    case SLEEP_GROUP_MENU_ID: {
+      const groupId = await stateManager.getTabGroup(tab.id);
+      if (isValidUserGroupId(groupId)) {
+        await sleepGroup(tab.windowId, groupId);
+      }
+      break;
+    }
+    default: {
+      if (String(info.menuItemId).startsWith(WAKE_GROUP_MENU_PREFIX)) {
+        await wakeGroup(
+          tab.windowId,
+          parseInt(info.menuItemId.slice(WAKE_GROUP_MENU_PREFIX.length), 10),
+        );
+        break;
+      }
+
+      // see if we're sending multiple tabs
+      const tabs = await browser.tabs.query({ highlighted: true });
+      // if you select multiple tabs, your active tab is selected as well
+      // and needs to be filtered out
+      if (tabs.length > 1) {
+        await takeSnapshot('moveTabs');
+        const activeTabId = (await browser.tabs.query({ active: true }))[0].id;
+        tabs.forEach((tempTab) => {
+          const tabId = tempTab.id;
+          if (tabId !== activeTabId) {
+            moveTab(tabId, info.menuItemId);
+          }
+        });
+      } else {
+        // otherwise just use the tab where the menu was clicked from
+        // if you don't do multiselect, but just right click, the tab isn't actually highlighted
+        const activeTabId = (await browser.tabs.query({ active: true }))[0].id;
+        if (activeTabId === tab.id) {
+          const visibleTabs = await browser.tabs.query({ hidden: false });
+
+          // find position of active tab among visible tabs
+          let tabIndex = 0;
+          visibleTabs.forEach((visibleTab, index) => {
+            if (visibleTab.id === tab.id) {
+              tabIndex = parseInt(index, 10);
+            }
+          });
+
+          // find neighboring tab and make it the active tab
+          let newActiveTab = tab;
+          if (visibleTabs[tabIndex - 1] !== undefined) {
+            newActiveTab = visibleTabs[tabIndex - 1];
+          } else if (visibleTabs[tabIndex + 1] !== undefined) {
+            newActiveTab = visibleTabs[tabIndex + 1];
+          }
+          await browser.tabs.update(newActiveTab.id, { active: true });
+        }
+
+        moveTab(tab.id, info.menuItemId);
+      }
+    }
+  }
+}
+
+browser.menus.onClicked.addListener(menuClicked);
+browser.menus.onShown.addListener(updateGroupSleepMenuItems);
+browser.menus.onShown.addListener(updateOpenFolderMenuItem);
+
+async function runPublishGroups() {
+  await waitForInitialization();
+  await publishGroups(await loadOptions(), DEBUG);
+}
+
+// Keep the shared groups on other devices up to date
+const schedulePublish = () => schedulePublishGroups(runPublishGroups);
+browser.tabs.onCreated.addListener(schedulePublish);
+browser.tabs.onRemoved.addListener(schedulePublish);
+browser.tabs.onUpdated.addListener(schedulePublish, { properties: ['url'] });
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === GROUP_SYNC_ALARM) {
+    runPublishGroups();
+  }
+});
+runPublishGroups();
+
+/**
+ * Open a group another device shared as a new group, with unloaded tabs
+ * The group is only opened if the device hasn't published again since its
+ * groups were listed.
+ * @param {string} deviceId - ID of the device
+ * @param {string} groupName - Name of the group
+ * @param {number} updated - When the device published the listed groups
+ * @param {number} windowId - The window ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function openRemoteGroup(deviceId, groupName, updated, windowId) {
+  const device = (await getRemoteDevices()).find(
+    (remoteDevice) => remoteDevice.deviceId === deviceId,
+  );
+  const group =
+    device?.updated === updated &&
+    device.groups.find(({ name }) => name === groupName);
+  if (!group) {
+    return {
+      success: false,
+      error: `No group "${groupName}" of ${deviceId} from ${updated}`,
+    };
+  }
+
+  const groupId = await createNamedGroup(
+    windowId,
+    group.name,
+    group.color ? { color: group.color } : {},
+  );
+  await openTabsInGroup(
+    windowId,
+    groupId,
+    group.urls.map((url) => ({ url })),
+  );
+  if (DEBUG) {
+    console.debug(
+      `[GroupSync] Opened group "${group.name}" of ${device.device} as group ${groupId}`,
+    );
+  }
+  return { success: true };
+}
+
+/**
+ * Restore an archived group into a window, with all its tabs discarded
+ * The group is taken out of the archive once its tabs are open. Tabs that
+ * couldn't be opened are kept in the archive.
+ * @param {string} archiveId - ID of the archived group
+ * @param {number} windowId - The window ID
+ * @returns {Promise<{success: boolean, error?: string,
+ *   failedUrls?: Array<string>}>}
+ */
+async function restoreArchivedGroup(archiveId, windowId) {
+  const archivedGroup = await getArchivedGroup(archiveId);
+  if (!archivedGroup) {
+    return { success: false, error: `No archived group ${archiveId}` };
+  }
+
+  const { name, ...properties } = archivedGroup.group;
+  const groupId = await createNamedGroup(windowId, name, properties);
+  // Tabs of removed containers open without one
+  const cookieStoreIds = (await getContainers()).map(
+    (container) => container.cookieStoreId,
+  );
+
+  // Keep tabCreated from putting the tabs into the active group
+  const releaseOpening = holdOpeningBackup();
+  const tabIds = [];
+  const failedTabs = [];
+  try {
+    await archivedGroup.tabs.reduce(async (previous, archivedTab) => {
+      await previous;
+      const tab = await createSavedTab(archivedTab, windowId, cookieStoreIds);
+      if (tab) {
+        await stateManager.setTabGroup(tab.id, groupId);
+        tabIds.push(tab.id);
+      } else {
+        failedTabs.push(archivedTab);
+      }
+    }, Promise.resolve());
+  } finally {
+    releaseOpening();
+  }
+
+  if (hasTabHide && tabIds.length > 0) {
+    await browser.tabs.hide(tabIds);
+  }
+  if (failedTabs.length > 0) {
+    await setArchivedTabs(archiveId, failedTabs);
+  } else {
+    await purgeArchivedGroup(archiveId);
+  }
+  if (DEBUG) {
+    console.debug(
+      `[Archive] Restored group "${name}" with ${tabIds.length} tabs into window ${windowId}, ${failedTabs.length} failed`,
+    );
+  }
+  return { success: true, failedUrls: failedTabs.map((tab) => tab.url) };
+}
+
+/**
+ * Give a group name that's already taken a number, like "Work (2)"
+ * @param {string} name - Group name
+ * @param {Set<string>} takenNames - Names of the window's groups
+ * @returns {string} A free name
+ */
+function getFreeGroupName(name, takenNames) {
+  let freeName = name;
+  for (let n = 2; takenNames.has(freeName); n += 1) {
+    freeName = `${name} (${n})`;
+  }
+  return freeName;
+}
+
+/**
+ * Merge the windows of a backup into an open window
+ * Backed up groups get new IDs from the window's groupIndex. With
+ * matchGroups a group is merged into the window's group of the same name,
+ * otherwise it's renamed if its name is taken. Tabs whose URL is already
+ * open in the window are skipped, the others are created a few at a time.
+ * @param {object} data - Backup in the current format
+ * @param {number} windowId - The window ID
+ * @param {boolean} matchGroups - Merge groups with the same name
+ * @param {object} [progress] - Progress of the restore, see restore-queue.js
+ * @returns {Promise<{success: boolean, tabCount: number, skippedCount: number}>}
+ */
+async function mergeBackup(
+  data,
+  windowId,
+  matchGroups,
+  progress = createRestoreProgress(),
+) {
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const takenNames = new Set(groups.map((group) => group.name));
+  const cookieStoreIds = (await getContainers()).map(
+    (container) => container.cookieStoreId,
+  );
+  const openUrls = new Set(
+    (await browser.tabs.query({ windowId })).map((tab) => tab.url),
+  );
+  let skippedCount = 0;
+  let tabCount = 0;
+
+  progress.windows.total = data.windows.length;
+  progress.update();
+
+  // Keep tabCreated from putting the tabs into the active group
+  const releaseOpening = holdOpeningBackup();
+  try {
+    // One window after the other, so group names are taken in order
+    await data.windows.reduce(async (previous, wi) => {
+      await previous;
+      if (progress.cancelled) {
+        return;
+      }
+
+      const groupIds = new Map();
+      // Tabs of groups missing in the backup get a group of their own
+      const backupGroups = [
+        ...wi.groups,
+        ...[...new Set(wi.tabs.map((tab) => parseInt(tab.groupId, 10)))]
+          .filter(
+            (id) =>
+              isValidUserGroupId(id) &&
+              !wi.groups.some((group) => group.id === id),
+          )
+          .map((id) => ({ id, name: `Group ${id}` })),
+      ];
+
+      await backupGroups.reduce(async (previousGroup, backupGroup) => {
+        await previousGroup;
+        const existingGroup =
+          matchGroups &&
+          ((await stateManager.getGroups(windowId)) || []).find(
+            (group) => group.name === backupGroup.name,
+          );
+        if (existingGroup) {
+          groupIds.set(backupGroup.id, existingGroup.id);
+          return;
+        }
+
+        const properties = {};
+        BACKUP_GROUP_PROPERTIES.forEach((property) => {
+          if (
+            !['id', 'name', 'nativeGroupId'].includes(property) &&
+            backupGroup[property] !== undefined
+          ) {
+            properties[property] = backupGroup[property];
+          }
+        });
+        const name = getFreeGroupName(backupGroup.name, takenNames);
+        takenNames.add(name);
+        groupIds.set(
+          backupGroup.id,
+          await createNamedGroup(windowId, name, properties),
+        );
+      }, Promise.resolve());
+
+      const items = wi.tabs
+        .filter((backupTab) => {
+          if (openUrls.has(backupTab.url)) {
+            skippedCount += 1;
+            return false;
+          }
+          openUrls.add(backupTab.url);
+          return true;
+        })
+        .map((backupTab) => ({
+          ...backupTab,
+          createProperties: getSavedTabProperties(
+            backupTab,
+            windowId,
+            cookieStoreIds,
+          ),
+        }));
+      progress.groups.total += backupGroups.length;
+      progress.tabs.total += items.length;
+      progress.update();
+
+      await createTabsQueued(items, progress, async (backupTab, tab) => {
+        const groupId = parseInt(backupTab.groupId, 10);
+        // Ungrouped tabs stay ungrouped
+        await stateManager.setTabGroup(
+          tab.id,
+          groupIds.has(groupId) ? groupIds.get(groupId) : groupId,
+        );
+        tabCount += 1;
+      });
+
+      progress.groups.done += backupGroups.length;
+      progress.windows.done += 1;
+      progress.update();
+    }, Promise.resolve());
+  } finally {
+    releaseOpening();
+    progress.finished = true;
+    progress.update();
+  }
+
+  await toggleVisibleTabs(
+    await stateManager.getActiveGroup(windowId),
+    false,
+    windowId,
+  );
+  if (DEBUG) {
+    console.debug(
+      `[Backup] Merged ${tabCount} tabs into window ${windowId}, skipped ${skippedCount} open ones`,
+    );
+  }
+  return { success: true, tabCount, skippedCount };
+}
+
+/**
+ * Merge a backup for the options page, which shows the progress
+ * The page sends { data, windowId, matchGroups } to start and { cancel: true }
+ * to stop creating tabs. It gets { progress } while tabs are created and
+ * { result } at the end. Closing the page cancels the merge.
+ * @param {object} port - Port the options page connected
+ */
+function mergeBackupThroughPort(port) {
+  let connected = true;
+  const post = (message) => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
+  const progress = createRestoreProgress(
+    ({ windows, groups, tabs, failures, finished }) => {
+      post({ progress: { windows, groups, tabs, failures, finished } });
+    },
+  );
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    progress.cancelled = true;
+  });
+  port.onMessage.addListener((message) => {
+    if (message.cancel) {
+      progress.cancelled = true;
+      return;
+    }
+    mergeBackup(message.data, message.windowId, message.matchGroups, progress)
+      .catch((error) => ({ success: false, error: error.message }))
+      .then((result) => post({ result }));
+  });
+}
+
+/**
+ * Download the links of a group's tabs
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ * @param {string} format - Key of LINK_EXPORT_FORMATS
+ */
+async function exportGroupLinks(windowId, groupId, format) {
+  const windowData = await getBackupWindow(windowId);
+  const group = windowData.groups.find((g) => g.id === groupId);
+  if (!group) {
+    return { success: false, error: `No group ${groupId}` };
+  }
+
+  const { content, type, extension } = formatLinks(
+    [{ ...windowData, groups: [group] }],
+    format,
+  );
+  const { downloadId, url } = await downloadFile(
+    content,
+    type,
+    `${getExportFileName(group.name)}.${extension}`,
+  );
+  waitForDownload(downloadId)
+    .catch(() => {})
+    .finally(() => URL.revokeObjectURL(url));
+  return { success: true };
+}
+
+/**
+ * Save the groups and tabs of a window as a workspace
+ * @param {string} name - Workspace name, an existing one is replaced
+ * @param {number} windowId - The window ID
+ */
+async function saveWorkspace(name, windowId) {
+  const windowData = await getBackupWindow(windowId);
+
+  // Extension pages like the options page don't belong to the layout
+  const extensionUrl = browser.runtime.getURL('');
+  windowData.tabs = windowData.tabs.filter(
+    (tab) => !tab.url.startsWith(extensionUrl),
+  );
+
+  await putWorkspace(name, windowData);
+}
+
+/**
+ * Build a window in the backup format in a new window or in place of a
+ * window's groups
+ * The tabs of the replaced groups are closed, except for the panorama view
+ * and the tab given by keepTabId, which joins the active group. Pinned and
+ * ungrouped tabs are left alone, pinned tabs of the layout that are already
+ * open aren't opened again.
+ * @param {object} windowData - Window in the backup format
+ * @param {number} [windowId] - Window to replace, a new one if undefined
+ * @param {number} [keepTabId] - Tab to keep open
+ * @returns {Promise<number>} ID of the window
+ */
+async function openWindowLayout(windowData, windowId, keepTabId) {
+  // Keep the background from assigning the new tabs to groups
+  const releaseOpening = holdOpeningBackup();
+  let targetWindowId = windowId;
+  let closeTabIds;
+  let layout = windowData;
+  try {
+    if (targetWindowId === undefined) {
+      const newWindow = await browser.windows.create({});
+      targetWindowId = newWindow.id;
+      closeTabIds = newWindow.tabs.map((tab) => tab.id);
+    } else {
+      const tabs = await browser.tabs.query({ windowId: targetWindowId });
+      const tabGroupIds = await stateManager.getTabGroups(
+        tabs.map((tab) => tab.id),
+      );
+      closeTabIds = tabs
+        .filter(
+          (tab, index) =>
+            tab.id !== keepTabId &&
+            !tab.pinned &&
+            ![PANORAMA_VIEW_GROUP_ID, UNGROUPED_GROUP_ID].includes(
+              tabGroupIds[index],
+            ),
+        )
+        .map((tab) => tab.id);
+
+      const pinnedUrls = tabs.filter((tab) => tab.pinned).map((tab) => tab.url);
+      layout = {
+        ...windowData,
+        tabs: windowData.tabs.filter(
+          (tab) => !tab.pinned || !pinnedUrls.includes(tab.url),
+        ),
+      };
+    }
+
+    await openBackupWindow(layout, targetWindowId);
+    await browser.sessions.removeWindowValue(targetWindowId, 'groupHistory');
+    await browser.sessions.removeWindowValue(targetWindowId, 'groupActivity');
+  } finally {
+    releaseOpening();
+  }
+  // The window values were written around the state manager
+  stateManager.clearCache();
+
+  const groups = await stateManager.getGroups(targetWindowId);
+  let activeGroup = groups.some((group) => group.id === windowData.activeGroup)
+    ? windowData.activeGroup
+    : getLowestPositiveGroupId(groups);
+  if (activeGroup === undefined) {
+    await createGroupInWindow({ id: targetWindowId });
+    activeGroup = await stateManager.getActiveGroup(targetWindowId);
+  }
+  if (keepTabId !== undefined) {
+    await stateManager.setTabGroup(keepTabId, activeGroup);
+  }
+  await activateGroup(targetWindowId, activeGroup);
+
+  if (closeTabIds.length > 0) {
+    await browser.tabs.remove(closeTabIds);
+  }
+  await createMenuList();
+  return targetWindowId;
+}
+
+/**
+ * Open a workspace in a new window or in place of a window's groups
+ * @param {string} name - Workspace name
+ * @param {number} [windowId] - Window to replace, a new one if undefined
+ * @param {number} [keepTabId] - Tab to keep open
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function openWorkspace(name, windowId, keepTabId) {
+  const workspace = await getWorkspace(name);
+  if (!workspace) {
+    return { success: false, error: `No workspace "${name}"` };
+  }
+
+  if (windowId !== undefined) {
+    await takeSnapshot('openWorkspace');
+  }
+  const targetWindowId = await openWindowLayout(
+    workspace.window,
+    windowId,
+    keepTabId,
+  );
+
+  if (DEBUG) {
+    console.debug(
+      `[Workspaces] Opened "${name}" with ${workspace.window.tabs.length} tabs in window ${targetWindowId}`,
+    );
+  }
+  return { success: true };
+}
+
+/**
+ * Restore a snapshot of the group state
+ * The current state is saved as a snapshot first, so this can be undone.
+ * @param {string} snapshotId - The snapshot ID
+ * @param {string} mode - 'windows' to open the snapshot in new windows,
+ *   'reassign' to put the tabs that are still open back into their groups
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function restoreSnapshot(snapshotId, mode) {
+  const snapshot = await getSnapshot(snapshotId);
+  if (!snapshot) {
+    return { success: false, error: `No snapshot ${snapshotId}` };
+  }
+
+  await takeSnapshot('restoreSnapshot');
+
+  if (mode === 'windows') {
+    // One window after the other
+    await snapshot.windows.reduce(
+      (previous, snapshotWindow) =>
+        previous.then(() => openWindowLayout(snapshotWindow)),
+      Promise.resolve(),
+    );
+  } else {
+    const changedWindows = await reassignSnapshotTabs(snapshot);
+    await changedWindows.reduce(
+      (previous, { windowId, activeGroup }) =>
+        previous.then(async () => {
+          if (isValidUserGroupId(activeGroup)) {
+            await activateGroup(windowId, activeGroup);
+          } else {
+            await toggleVisibleTabs(
+              await stateManager.getActiveGroup(windowId),
+              false,
+              windowId,
+            );
+          }
+        }),
+      Promise.resolve(),
+    );
+    await createMenuList();
+  }
+
+  if (DEBUG) {
+    console.debug(
+      `[Snapshots] Restored snapshot ${snapshotId} from ${new Date(snapshot.takenAt).toISOString()} (${mode})`,
+    );
+  }
+  return { success: true };
+}
+
+// TODO: Remove? Is this used?
+function handleMessage(message) {
+  if (message === 'activate-next-group') {
+    triggerCommand('activate-next-group');
+  } else if (message === 'activate-previous-group') {
+    triggerCommand('activate-previous-group');
+  } else {
+    console.error('Unknown external message:', message);
+  }
+}
+
+// Handle internal extension messages
+function handleInternalMessage(message, sender, sendResponse) {
+  switch (message.action) {
+    case 'createMenuItem':
+    case 'removeMenuItem':
+    case 'updateMenuItem':
+      // Handle menu change messages
+      handleMenuChange(message);
+      scheduleBookmarkMirror(runBookmarkMirror);
+      break;
+    case 'deleteGroup':
+      // Handle complete group deletion with native cleanup
+      deleteGroupWithCleanup(message)
+        .then((response) => {
+          sendResponse(response);
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'archiveGroup':
+      archiveGroup(message)
+        .then((response) => {
+          sendResponse(response);
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'getArchivedGroups':
+      getArchivedGroups()
+        .then((archivedGroups) => {
+          sendResponse({ success: true, archivedGroups });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'purgeArchivedGroup':
+      purgeArchivedGroup(message.archiveId)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'restoreArchivedGroup':
+      restoreArchivedGroup(message.archiveId, message.windowId)
+        .then((response) => {
+          sendResponse(response);
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'exportGroupLinks':
+      exportGroupLinks(message.windowId, message.groupId, message.format)
+        .then((response) => {
+          sendResponse(response);
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'getWorkspaces':
+      getWorkspaces()
+        .then((workspaces) => {
+          sendResponse({ success: true, workspaces });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'deleteWorkspace':
+      deleteWorkspace(message.name)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'saveWorkspace':
+      saveWorkspace(message.name, message.windowId)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'openWorkspace':
+      openWorkspace(
+        message.name,
+        message.windowId,
+        message.keepSender ? sender.tab?.id : undefined,
+      )
+        .then((response) => {
+          sendResponse(response);
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'restoreSnapshot':
+      restoreSnapshot(message.snapshotId, message.mode)
+        .then((response) => {
+          sendResponse(response);
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'cleanupNativeGroups':
+      // Handle cleanup when native groups option is disabled
+      if (DEBUG) {
+        console.debug('[Message] cleanupNativeGroups action received');
+      }
+      cleanupNativeGroups(DEBUG)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          console.error('[Message] Cleanup failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'activateGroup':
+      activateGroup(message.windowId, message.groupId)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'sleepGroup':
+    case 'wakeGroup':
+      (message.action === 'sleepGroup' ? sleepGroup : wakeGroup)(
+        message.windowId,
+        message.groupId,
+      )
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'scheduleAutoDiscard':
+      loadOptions()
+        .then(scheduleAutoDiscard)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'scheduleAutoBackup':
+      loadOptions()
+        .then(scheduleAutoBackup)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'syncBookmarkMirror':
+      loadOptions()
+        .then(setBookmarkMirrorAlarm)
+        .then(runBookmarkMirror)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'publishGroups':
+      loadOptions()
+        .then(setGroupSyncAlarm)
+        .then(runPublishGroups)
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'getRemoteDevices':
+      getRemoteDevices()
+        .then((devices) => {
+          sendResponse({ success: true, devices });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'openRemoteGroup':
+      openRemoteGroup(
+        message.deviceId,
+        message.groupName,
+        message.updated,
+        message.windowId,
+      )
+        .then(sendResponse)
+        .catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open for async response
+    case 'setBackgroundState':
+      window.backgroundState[message.key] = message.value;
+      break;
+    case 'refreshView':
+      window.refreshView();
+      break;
+    case 'checkViewRefresh':
+      sendResponse({ viewRefreshOrdered: window.viewRefreshOrdered });
+      break;
+    case 'clearViewRefresh':
+      window.viewRefreshOrdered = false;
+      break;
+    case 'migrateToHybridGroups':
+      // Manual trigger for migration
+      migrateToHybridGroups(hasTabGroups, DEBUG)
+        .then(() => {
+          sendResponse({ success: true, message: 'Migration completed' });
+        })
+        .catch((error) => {
+          sendResponse({ success: false, message: error.message });
+        });
+      return true; // Keep channel open for async response
+    case 'resetMigration':
+      // Reset migration flag for testing
+      browser.storage.local
+        .set({ hybridGroupsMigrationComplete: false })
+        .then(() => {
+          sendResponse({ success: true, message: 'Migration flag reset' });
+        });
+      return true;
+    default:
+      console.error(
+        'Unknown internal message action:',
+        message.action,
+        message,
+      );
+      sendResponse({ error: `Unknown action: ${message.action}` });
+      break;
+  }
+  return false;
+}
+
+browser.runtime.onMessage.addListener(handleInternalMessage);
+
+// Tabs created while the options page restores a backup keep their group
+// until the page closes its port, even if it's closed before the restore ends
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name === 'openingBackup') {
+    port.onDisconnect.addListener(holdOpeningBackup());
+  } else if (port.name === 'mergeBackup') {
+    mergeBackupThroughPort(port);
+  }
+});
 browser.runtime.onMessageExternal.addListener(handleMessage);
 
 /*
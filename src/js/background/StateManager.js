@@ -13,14 +13,23 @@
  * - groups (per-window)
  * - activeGroup (per-window)
  * - groupId (per-tab)
+ * - ruleGroupId (per-tab, group the tab was opened in, null once a group rule
+ *   handled it)
  * - groupIndex (per-window)
+ * - groupHistory (per-window, most recently activated groups first)
+ * - groupActivity (per-window, when each group was last seen active)
  *
  * Local storage is used for:
  * - backgroundState (openingView, openingBackup)
  * - windowStates (viewTabId per window)
  */
 
-import { UNGROUPED_GROUP_ID, UNGROUPED_GROUP_NAME } from './constants.js';
+import {
+  UNGROUPED_GROUP_ID,
+  UNGROUPED_GROUP_NAME,
+  GROUP_HISTORY_LENGTH,
+  isValidUserGroupId,
+} from './constants.js';
 
 export class StateManager {
   constructor() {
@@ -152,9 +161,17 @@ export class StateManager {
       `[StateManager] setActiveGroup called: windowId=${windowId}, groupId=${groupId}`,
     );
     try {
+      const previousGroupId = await this.getActiveGroup(windowId);
       await browser.sessions.setWindowValue(windowId, 'activeGroup', groupId);
       console.debug('[StateManager] setWindowValue completed successfully');
       this.invalidateCache(`activeGroup_${windowId}`);
+      await this.recordGroupActivation(windowId, groupId);
+      if (previousGroupId !== groupId) {
+        await this.recordGroupActivity(windowId, [previousGroupId, groupId]);
+      }
+      if (isValidUserGroupId(groupId)) {
+        await this.setGroupSleeping(windowId, groupId, false);
+      }
       console.debug('[StateManager] setActiveGroup complete');
     } catch (error) {
       console.error(
@@ -165,6 +182,118 @@ export class StateManager {
     }
   }
 
+  /**
+   * Mark a group as sleeping, which means its tabs have been discarded
+   * @param {number} windowId - The window ID
+   * @param {number} groupId - The group ID
+   * @param {boolean} sleeping - Whether the group sleeps
+   * @returns {Promise<boolean>} False if the group doesn't exist
+   */
+  async setGroupSleeping(windowId, groupId, sleeping) {
+    const groups = await this.getGroups(windowId);
+    const group = groups?.find(({ id }) => id === groupId);
+    if (!group) {
+      return false;
+    }
+
+    if (!!group.sleeping !== sleeping) {
+      group.sleeping = sleeping;
+      await this.setGroups(windowId, groups);
+    }
+    return true;
+  }
+
+  /**
+   * Get the most recently used groups of a window
+   * May still contain groups that have been deleted since
+   * @param {number} windowId - The window ID
+   * @returns {Promise<Array<number>>} Group IDs, most recent first
+   */
+  async getGroupHistory(windowId) {
+    const cacheKey = `groupHistory_${windowId}`;
+    const cached = this.getFromCache(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const groupHistory =
+      (await browser.sessions.getWindowValue(windowId, 'groupHistory')) || [];
+    this.setCache(cacheKey, groupHistory);
+    return groupHistory;
+  }
+
+  /**
+   * Move a group to the top of the window's most recently used stack
+   * @param {number} windowId - The window ID
+   * @param {number} groupId - The group ID that was activated
+   */
+  async recordGroupActivation(windowId, groupId) {
+    // Panorama view and ungrouped tabs are no destination to return to
+    if (!isValidUserGroupId(groupId)) {
+      return;
+    }
+
+    const groupHistory = await this.getGroupHistory(windowId);
+    if (groupHistory[0] === groupId) {
+      return;
+    }
+
+    const updatedHistory = [
+      groupId,
+      ...groupHistory.filter((id) => id !== groupId),
+    ].slice(0, GROUP_HISTORY_LENGTH);
+
+    await browser.sessions.setWindowValue(
+      windowId,
+      'groupHistory',
+      updatedHistory,
+    );
+    this.invalidateCache(`groupHistory_${windowId}`);
+  }
+
+  /**
+   * Note that groups are active right now, so the group left behind by a
+   * switch counts as inactive from the switch on
+   * @param {number} windowId - The window ID
+   * @param {Array<number>} groupIds - The group IDs
+   */
+  async recordGroupActivity(windowId, groupIds) {
+    const groupActivity = { ...(await this.getGroupActivity(windowId)) };
+    const now = Date.now();
+    groupIds.filter(isValidUserGroupId).forEach((groupId) => {
+      groupActivity[groupId] = now;
+    });
+    await this.setGroupActivity(windowId, groupActivity);
+  }
+
+  /**
+   * Get when the groups of a window were last seen active
+   * @param {number} windowId - The window ID
+   * @returns {Promise<Object<number, number>>} Timestamps by group ID
+   */
+  async getGroupActivity(windowId) {
+    const cacheKey = `groupActivity_${windowId}`;
+    const cached = this.getFromCache(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const groupActivity =
+      (await browser.sessions.getWindowValue(windowId, 'groupActivity')) || {};
+    this.setCache(cacheKey, groupActivity);
+    return groupActivity;
+  }
+
+  /**
+   * Set when the groups of a window were last seen active
+   * @param {number} windowId - The window ID
+   * @param {Object<number, number>} groupActivity - Timestamps by group ID
+   */
+  async setGroupActivity(windowId, groupActivity) {
+    await browser.sessions.setWindowValue(
+      windowId,
+      'groupActivity',
+      groupActivity,
+    );
+    this.invalidateCache(`groupActivity_${windowId}`);
+  }
+
   /**
    * Get group index for a specific window
    * @param {number} windowId - The window ID
@@ -218,6 +347,34 @@ export class StateManager {
     this.invalidateCache(`tabGroup_${tabId}`);
   }
 
+  /**
+   * Remove the group ID of a tab, e.g. when it leaves its window
+   * @param {number} tabId - The tab ID
+   */
+  async removeTabGroup(tabId) {
+    await browser.sessions.removeTabValue(tabId, 'groupId');
+    this.invalidateCache(`tabGroup_${tabId}`);
+  }
+
+  /**
+   * Get the group rules may still move a tab out of
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<number|null|undefined>} Group the tab was opened in,
+   *   null if rules are done with it, undefined if they haven't seen it
+   */
+  async getTabRuleGroup(tabId) {
+    return browser.sessions.getTabValue(tabId, 'ruleGroupId');
+  }
+
+  /**
+   * Set the group rules may still move a tab out of
+   * @param {number} tabId - The tab ID
+   * @param {number|null} groupId - The group ID, null if rules are done
+   */
+  async setTabRuleGroup(tabId, groupId) {
+    await browser.sessions.setTabValue(tabId, 'ruleGroupId', groupId);
+  }
+
   /**
    * Get multiple tab groups in parallel
    * @param {Array<number>} tabIds - Array of tab IDs
@@ -0,0 +1,106 @@
+/**
+ * Archive - Keep closed groups in storage.local to restore them later
+ *
+ * Archived groups are stored under the archivedGroups key:
+ * [{
+ *   id: string, // Unique archive ID
+ *   archivedAt: number, // Timestamp
+ *   group: {name, containerId, newTabUrl, startupUrls, discardExempt},
+ *   tabs: Array<{url, title, favIconUrl, pinned, cookieStoreId}>,
+ * }]
+ */
+
+const ARCHIVE_KEY = 'archivedGroups';
+
+// Group settings worth keeping, rects and IDs belong to the old window
+const ARCHIVED_GROUP_PROPERTIES = [
+  'name',
+  'containerId',
+  'newTabUrl',
+  'startupUrls',
+  'discardExempt',
+];
+
+/**
+ * Get all archived groups
+ * @returns {Promise<Array<object>>} Archived groups, most recent first
+ */
+export async function getArchivedGroups() {
+  const { [ARCHIVE_KEY]: archivedGroups } =
+    await browser.storage.local.get(ARCHIVE_KEY);
+  return archivedGroups || [];
+}
+
+async function setArchivedGroups(archivedGroups) {
+  await browser.storage.local.set({ [ARCHIVE_KEY]: archivedGroups });
+}
+
+/**
+ * Store a group and its tabs in the archive
+ * @param {object} group - Group object
+ * @param {Array<object>} tabs - Browser tabs of the group, in tab strip order
+ * @returns {Promise<object>} The archived group
+ */
+export async function addArchivedGroup(group, tabs) {
+  const archivedGroup = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    archivedAt: Date.now(),
+    group: Object.fromEntries(
+      ARCHIVED_GROUP_PROPERTIES.filter(
+        (property) => group[property] !== undefined,
+      ).map((property) => [property, group[property]]),
+    ),
+    tabs: tabs.map((tab) => ({
+      url: tab.url,
+      title: tab.title,
+      favIconUrl: tab.favIconUrl,
+      pinned: tab.pinned,
+      cookieStoreId: tab.cookieStoreId,
+    })),
+  };
+
+  await setArchivedGroups([archivedGroup, ...(await getArchivedGroups())]);
+  return archivedGroup;
+}
+
+/**
+ * Get an archived group by its ID
+ * @param {string} archiveId - ID of the archived group
+ * @returns {Promise<object|undefined>} The archived group
+ */
+export async function getArchivedGroup(archiveId) {
+  return (await getArchivedGroups()).find((entry) => entry.id === archiveId);
+}
+
+/**
+ * Replace the tabs of an archived group, like the ones that couldn't be
+ * restored
+ * @param {string} archiveId - ID of the archived group
+ * @param {Array<object>} tabs - Tabs in the archive format
+ */
+export async function setArchivedTabs(archiveId, tabs) {
+  const archivedGroups = await getArchivedGroups();
+  await setArchivedGroups(
+    archivedGroups.map((entry) =>
+      entry.id === archiveId ? { ...entry, tabs } : entry,
+    ),
+  );
+}
+
+/**
+ * Remove a group from the archive
+ * @param {string} archiveId - ID of the archived group
+ * @returns {Promise<object|undefined>} The removed group, undefined if it
+ *   wasn't archived
+ */
+export async function purgeArchivedGroup(archiveId) {
+  const archivedGroups = await getArchivedGroups();
+  const archivedGroup = archivedGroups.find((entry) => entry.id === archiveId);
+
+  if (archivedGroup) {
+    await setArchivedGroups(
+      archivedGroups.filter((entry) => entry.id !== archiveId),
+    );
+  }
+  return archivedGroup;
+}
@@ -0,0 +1,173 @@
+/**
+ * Auto Backup - Save backups on a schedule without asking where to
+ *
+ * Backups are written to the AUTO_BACKUP_FOLDER subfolder of the downloads
+ * folder, and only the newest autoBackupCount of them are kept. The state is
+ * stored under the autoBackup key of storage.local:
+ * {
+ *   lastBackup: number|null, // Time of the last successful backup
+ *   lastError: string|null, // Why the last backup failed, null if it didn't
+ *   downloadIds: Array<number>, // Downloads of the kept backups, oldest first
+ * }
+ */
+
+import { getBackup, downloadBackup } from '../_share/backup.js';
+
+export const AUTO_BACKUP_ALARM = 'auto-backup';
+export const AUTO_BACKUP_FOLDER = 'PanoramaTabGroups';
+
+// Intervals run by the alarm, 'startup' is run by runtime.onStartup
+const INTERVAL_MINUTES = {
+  hourly: 60,
+  daily: 24 * 60,
+};
+// Downloads that take longer than this are given up
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Get the state of the automatic backups
+ * @returns {Promise<object>} See the module description
+ */
+export async function getAutoBackupState() {
+  const { autoBackup } = await browser.storage.local.get('autoBackup');
+  return { lastBackup: null, lastError: null, downloadIds: [], ...autoBackup };
+}
+
+/**
+ * Start, change or stop the alarm to match the options
+ * Alarms are lost when the browser closes, so the first run is counted from
+ * the last backup. A backup that is due runs right away.
+ * @param {object} options - Options from loadOptions()
+ */
+export async function scheduleAutoBackup(options) {
+  const periodInMinutes = INTERVAL_MINUTES[options.autoBackupInterval];
+  if (!periodInMinutes) {
+    await browser.alarms.clear(AUTO_BACKUP_ALARM);
+    return;
+  }
+
+  const alarm = await browser.alarms.get(AUTO_BACKUP_ALARM);
+  if (alarm && alarm.periodInMinutes === periodInMinutes) {
+    return;
+  }
+
+  const { lastBackup } = await getAutoBackupState();
+  const due = lastBackup ? lastBackup + periodInMinutes * 60 * 1000 : 0;
+  browser.alarms.create(AUTO_BACKUP_ALARM, {
+    when: Math.max(due, Date.now()),
+    periodInMinutes,
+  });
+}
+
+/**
+ * Settle a promise once a download has finished
+ */
+function settleDownload(state, error, resolve, reject) {
+  if (state === 'complete') {
+    resolve();
+  } else if (state === 'interrupted') {
+    reject(new Error(error || 'Download interrupted'));
+  }
+}
+
+/**
+ * Wait until a download is written to disk
+ * @param {number} downloadId - The download ID
+ * @returns {Promise<void>} Rejects if the download was interrupted or didn't
+ *   finish within DOWNLOAD_TIMEOUT_MS
+ */
+export function waitForDownload(downloadId) {
+  let onChanged;
+  let timeout;
+
+  return new Promise((resolve, reject) => {
+    onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state) {
+        settleDownload(
+          delta.state.current,
+          delta.error?.current,
+          resolve,
+          reject,
+        );
+      }
+    };
+    browser.downloads.onChanged.addListener(onChanged);
+    timeout = setTimeout(() => {
+      reject(new Error(`Download ${downloadId} timed out`));
+    }, DOWNLOAD_TIMEOUT_MS);
+
+    // The download may have finished before the listener was added
+    browser.downloads.search({ id: downloadId }).then(([download]) => {
+      if (download) {
+        settleDownload(download.state, download.error, resolve, reject);
+      }
+    }, reject);
+  }).finally(() => {
+    browser.downloads.onChanged.removeListener(onChanged);
+    clearTimeout(timeout);
+  });
+}
+
+/**
+ * Delete the oldest backups until only count of them are left
+ * @param {Array<number>} downloadIds - Downloads of the backups, oldest first
+ * @param {number} count - Number of backups to keep
+ * @returns {Promise<Array<number>>} Downloads of the kept backups
+ */
+async function removeOldBackups(downloadIds, count) {
+  const removeIds = downloadIds.slice(
+    0,
+    Math.max(0, downloadIds.length - count),
+  );
+
+  await Promise.all(
+    removeIds.map(async (id) => {
+      try {
+        await browser.downloads.removeFile(id);
+      } catch (error) {
+        // The file was already deleted or moved by the user
+      }
+      await browser.downloads.erase({ id });
+    }),
+  );
+  return downloadIds.slice(removeIds.length);
+}
+
+/**
+ * Save a backup of all windows to the backup folder
+ * @param {object} options - Options from loadOptions()
+ * @param {boolean} DEBUG - Log the backups
+ */
+export async function runAutoBackup(options, DEBUG) {
+  const state = await getAutoBackupState();
+  let url;
+
+  try {
+    const download = await downloadBackup(await getBackup(), {
+      folder: AUTO_BACKUP_FOLDER,
+      saveAs: false,
+    });
+    url = download.url;
+    await waitForDownload(download.downloadId);
+
+    const downloadIds = await removeOldBackups(
+      [...state.downloadIds, download.downloadId],
+      options.autoBackupCount,
+    );
+    await browser.storage.local.set({
+      autoBackup: { lastBackup: Date.now(), lastError: null, downloadIds },
+    });
+    if (DEBUG) {
+      console.debug(`[AutoBackup] Saved backup ${download.downloadId}`);
+    }
+  } catch (error) {
+    console.error('[AutoBackup] Backup failed:', error);
+    await browser.storage.local.set({
+      autoBackup: { ...state, lastError: error.message },
+    });
+  } finally {
+    if (url) {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
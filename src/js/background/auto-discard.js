@@ -0,0 +1,137 @@
+/**
+ * Auto Discard - Unload the tabs of groups that have been inactive for a while
+ *
+ * An alarm checks every minute how long the groups of each window have been
+ * inactive. The time a group was last seen active is kept in the window's
+ * groupActivity session value, so it survives background restarts. Switching
+ * groups records it as well, see StateManager.setActiveGroup().
+ *
+ * Never discarded: tabs of the active group, of groups exempted with
+ * discardExempt, and active tabs. Pinned and audible tabs are kept unless
+ * autoDiscardExemptPinned or autoDiscardExemptAudible are off.
+ */
+
+import { stateManager } from './StateManager.js';
+import { isValidUserGroupId } from './constants.js';
+
+export const AUTO_DISCARD_ALARM = 'auto-discard';
+
+const CHECK_INTERVAL_MINUTES = 1;
+
+/**
+ * Start or stop the alarm to match the options
+ * Inactivity is counted from the moment auto discard is turned on.
+ * @param {object} options - Options from loadOptions()
+ */
+export async function scheduleAutoDiscard(options) {
+  if (!options.autoDiscardEnabled) {
+    await browser.alarms.clear(AUTO_DISCARD_ALARM);
+    return;
+  }
+
+  if (await browser.alarms.get(AUTO_DISCARD_ALARM)) {
+    return;
+  }
+
+  const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+  await Promise.all(
+    windows.map((browserWindow) =>
+      stateManager.setGroupActivity(browserWindow.id, {}),
+    ),
+  );
+  browser.alarms.create(AUTO_DISCARD_ALARM, {
+    periodInMinutes: CHECK_INTERVAL_MINUTES,
+  });
+}
+
+/**
+ * Add discarded tabs to the statistics
+ * @param {number} count - Number of tabs discarded
+ */
+async function recordDiscards(count) {
+  const { discardStats } = await browser.storage.local.get('discardStats');
+  const stats = discardStats || { tabs: 0, lastDiscard: null };
+
+  await browser.storage.local.set({
+    discardStats: {
+      tabs: stats.tabs + count,
+      lastDiscard: Date.now(),
+    },
+  });
+}
+
+/**
+ * Discard the tabs of a window's groups that have been inactive too long
+ * @param {number} windowId - The window ID
+ * @param {object} options - Options from loadOptions()
+ * @returns {Promise<number>} Number of tabs discarded
+ */
+async function discardWindow(windowId, options) {
+  const maxInactiveMs = options.autoDiscardMinutes * 60 * 1000;
+  const now = Date.now();
+  const groups = (await stateManager.getGroups(windowId)) || [];
+  const activeGroup = await stateManager.getActiveGroup(windowId);
+  const activity = { ...(await stateManager.getGroupActivity(windowId)) };
+
+  const expiredGroupIds = [];
+  groups
+    .filter((group) => isValidUserGroupId(group.id))
+    .forEach((group) => {
+      if (group.id === activeGroup || activity[group.id] === undefined) {
+        activity[group.id] = now;
+      } else if (
+        now - activity[group.id] >= maxInactiveMs &&
+        !group.discardExempt
+      ) {
+        expiredGroupIds.push(group.id);
+      }
+    });
+  await stateManager.setGroupActivity(windowId, activity);
+
+  if (expiredGroupIds.length === 0) {
+    return 0;
+  }
+
+  const tabs = await browser.tabs.query({
+    windowId,
+    active: false,
+    discarded: false,
+    ...(options.autoDiscardExemptPinned && { pinned: false }),
+    ...(options.autoDiscardExemptAudible && { audible: false }),
+  });
+  const tabGroupIds = await stateManager.getTabGroups(
+    tabs.map((tab) => tab.id),
+  );
+  const discardTabIds = tabs
+    .filter((tab, index) => expiredGroupIds.includes(tabGroupIds[index]))
+    .map((tab) => tab.id);
+
+  if (discardTabIds.length > 0) {
+    await browser.tabs.discard(discardTabIds);
+  }
+  return discardTabIds.length;
+}
+
+/**
+ * Discard the tabs of inactive groups in all windows
+ * @param {object} options - Options from loadOptions()
+ * @param {boolean} DEBUG - Log what was discarded
+ */
+export async function discardInactiveGroups(options, DEBUG) {
+  if (!options.autoDiscardEnabled) {
+    return;
+  }
+
+  const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+  const counts = await Promise.all(
+    windows.map((browserWindow) => discardWindow(browserWindow.id, options)),
+  );
+  const total = counts.reduce((sum, count) => sum + count, 0);
+
+  if (total > 0) {
+    await recordDiscards(total);
+  }
+  if (DEBUG) {
+    console.debug(`[AutoDiscard] Discarded ${total} tabs`);
+  }
+}
@@ -0,0 +1,578 @@
+/**
+ * Bookmark Mirror - Keep a bookmark folder for each group
+ *
+ * Every group gets a folder, with a bookmark for each of its tabs, in the
+ * bookmarkMirrorRoot folder of "Other Bookmarks". The folder ID is kept in
+ * the bookmarkFolderId of the group. What a group and its folder had in
+ * common at the last sync is stored under the bookmarkMirror key of
+ * storage.local:
+ * {
+ *   rootId: string|null,
+ *   folders: { [folderId]: {
+ *     name: string,
+ *     urls: Array<string>,
+ *     windowId: number, // Window and group the folder was synced with
+ *     groupId: number,
+ *     detached: Array<string>, // Open tabs whose bookmark was deleted
+ *   } },
+ *   lastSync: number|null,
+ *   lastError: string|null,
+ *   conflicts: number, // Groups changed on both sides in the last sync
+ * }
+ *
+ * Changes on one side since the last sync are applied to the other. When
+ * both the tabs of a group and its folder changed, bookmarkMirrorConflicts
+ * decides:
+ * - 'merge' keeps what was added on either side and only removes what the
+ *   other side left as it was
+ * - 'tabs' makes the folder match the tabs
+ * - 'bookmarks' makes the tabs match the folder
+ *
+ * Tabs are only closed for deleted bookmarks if bookmarkMirrorCloseTabs is
+ * set. Otherwise they stay open, detached from the folder until they're
+ * closed or bookmarked in it again.
+ *
+ * Private windows are left out. Folders the user adds to the root folder
+ * become new groups. Folders of closed, archived or deleted groups are left
+ * alone, and a deleted folder is made again from its group.
+ */
+
+import { stateManager } from './StateManager.js';
+import { handleMenuChange } from './menu-manager.js';
+import { isValidUserGroupId } from './constants.js';
+
+export const BOOKMARK_MIRROR_ALARM = 'bookmark-mirror';
+
+const MIRROR_KEY = 'bookmarkMirror';
+const OTHER_BOOKMARKS_ID = 'unfiled_____';
+const SYNC_DELAY_MS = 2000;
+// Moving tabs between groups fires no tab event, the alarm catches those
+const SYNC_PERIOD_MINUTES = 5;
+
+// Only these can be bookmarked and opened again by the add-on
+const isMirrorUrl = (url) => /^(https?|ftp|file):/.test(url || '');
+
+// Groups about to be deleted, as "windowId:groupId"
+const unlinkedGroups = new Set();
+
+let syncTimeout = null;
+// Removes the tab and bookmark listeners, null while there are none
+let removeListeners = null;
+// Sync the listeners run, null while there are none
+let listenerSync = null;
+let runningSync = null;
+let syncAgain = false;
+
+/**
+ * Get the state of the mirror
+ * @returns {Promise<object>} See the module description
+ */
+export async function getBookmarkMirrorState() {
+  const { [MIRROR_KEY]: state } = await browser.storage.local.get(MIRROR_KEY);
+  return {
+    rootId: null,
+    folders: {},
+    lastSync: null,
+    lastError: null,
+    conflicts: 0,
+    ...state,
+  };
+}
+
+/**
+ * Find or make the root folder, named as in the options
+ * @returns {Promise<string>} ID of the root folder
+ */
+async function getRootFolder(rootId, title) {
+  if (rootId) {
+    try {
+      const [root] = await browser.bookmarks.get(rootId);
+      if (root.title !== title) {
+        await browser.bookmarks.update(rootId, { title });
+      }
+      return rootId;
+    } catch (error) {
+      // The root folder was deleted
+    }
+  }
+
+  const existing = (
+    await browser.bookmarks.getChildren(OTHER_BOOKMARKS_ID)
+  ).find((node) => node.type === 'folder' && node.title === title);
+  if (existing) {
+    return existing.id;
+  }
+  return (
+    await browser.bookmarks.create({ parentId: OTHER_BOOKMARKS_ID, title })
+  ).id;
+}
+
+const unique = (urls) => [...new Set(urls)];
+const sameUrls = (a, b) =>
+  a.length === b.length && a.every((url) => b.includes(url));
+
+/**
+ * Merge the changes made to the tabs and to the folder since the last sync
+ * @param {Array<string>} base - Addresses at the last sync
+ * @param {Array<string>} tabUrls - Addresses of the tabs
+ * @param {Array<string>} bookmarkUrls - Addresses of the bookmarks
+ * @param {string} policy - bookmarkMirrorConflicts option
+ * @returns {{urls: Array<string>, conflict: boolean}} Addresses both sides
+ *   should have, and whether both sides had changed
+ */
+function mergeUrls(base, tabUrls, bookmarkUrls, policy) {
+  const tabsChanged = !sameUrls(base, tabUrls);
+  const bookmarksChanged = !sameUrls(base, bookmarkUrls);
+
+  if (!bookmarksChanged) {
+    return { urls: tabUrls, conflict: false };
+  }
+  if (!tabsChanged) {
+    return { urls: bookmarkUrls, conflict: false };
+  }
+  if (policy === 'tabs') {
+    return { urls: tabUrls, conflict: true };
+  }
+  if (policy === 'bookmarks') {
+    return { urls: bookmarkUrls, conflict: true };
+  }
+
+  const removed = base.filter(
+    (url) => !tabUrls.includes(url) || !bookmarkUrls.includes(url),
+  );
+  return {
+    urls: unique([...tabUrls, ...bookmarkUrls]).filter(
+      (url) => !removed.includes(url),
+    ),
+    conflict: true,
+  };
+}
+
+/**
+ * Pick the name of a group and its folder, the one changed since the last
+ * sync wins
+ */
+function mergeName(base, groupName, folderName, policy) {
+  if (folderName === base || folderName === groupName) {
+    return groupName;
+  }
+  if (groupName === base || policy === 'bookmarks') {
+    return folderName;
+  }
+  return groupName;
+}
+
+/**
+ * Make a folder hold a bookmark for each address, in order of the tabs
+ */
+async function updateFolder(folderId, bookmarks, urls, titles) {
+  const removed = bookmarks.filter((bookmark) => !urls.includes(bookmark.url));
+  await Promise.all(
+    removed.map((bookmark) => browser.bookmarks.remove(bookmark.id)),
+  );
+
+  const bookmarkedUrls = bookmarks.map((bookmark) => bookmark.url);
+  await urls
+    .filter((url) => !bookmarkedUrls.includes(url))
+    .reduce(async (previous, url) => {
+      await previous;
+      await browser.bookmarks.create({
+        parentId: folderId,
+        title: titles.get(url) || url,
+        url,
+      });
+    }, Promise.resolve());
+}
+
+async function renameGroup(windowId, groupId, name) {
+  const groups = await stateManager.getGroups(windowId);
+  await stateManager.setGroups(
+    windowId,
+    groups.map((group) => (group.id === groupId ? { ...group, name } : group)),
+  );
+  handleMenuChange({ action: 'updateMenuItem', groupId, groupName: name });
+}
+
+async function setGroupFolder(windowId, groupId, bookmarkFolderId) {
+  const groups = await stateManager.getGroups(windowId);
+  await stateManager.setGroups(
+    windowId,
+    groups.map((group) =>
+      group.id === groupId ? { ...group, bookmarkFolderId } : group,
+    ),
+  );
+}
+
+/**
+ * Sync a group with its folder
+ * @returns {Promise<{folderId: string, entry: object, conflict: boolean}>}
+ */
+async function syncGroup(group, windowId, windowTabs, folders, state, context) {
+  const { options, helpers, linkedFolderIds } = context;
+
+  let folder = folders.get(group.bookmarkFolderId);
+  if (!folder) {
+    // The view may have saved its groups without the folder ID. Otherwise
+    // take a folder the user made for the group, or a new one.
+    const isFree = (f) => !linkedFolderIds.has(f.id);
+    folder =
+      [...folders.values()].find(
+        (f) =>
+          isFree(f) &&
+          state.folders[f.id]?.windowId === windowId &&
+          state.folders[f.id]?.groupId === group.id,
+      ) ||
+      [...folders.values()].find(
+        (f) => isFree(f) && f.title === group.name && !state.folders[f.id],
+      ) ||
+      (await browser.bookmarks.create({
+        parentId: state.rootId,
+        title: group.name,
+      }));
+    folder.children = folder.children || [];
+    await setGroupFolder(windowId, group.id, folder.id);
+  }
+  linkedFolderIds.add(folder.id);
+
+  const base = state.folders[folder.id] || { name: folder.title, urls: [] };
+  const groupTabs = windowTabs.filter(
+    (tab) => tab.groupId === group.id && isMirrorUrl(tab.url),
+  );
+  const groupTabUrls = groupTabs.map((tab) => tab.url);
+  // Forget detached tabs once they're closed or navigated away
+  let detached = (base.detached || []).filter((url) =>
+    groupTabUrls.includes(url),
+  );
+  const tabs = groupTabs.filter((tab) => !detached.includes(tab.url));
+  const bookmarks = folder.children.filter(
+    (node) => node.type === 'bookmark' && isMirrorUrl(node.url),
+  );
+
+  const { urls, conflict } = mergeUrls(
+    base.urls,
+    unique(tabs.map((tab) => tab.url)),
+    unique(bookmarks.map((bookmark) => bookmark.url)),
+    options.bookmarkMirrorConflicts,
+  );
+  const name = mergeName(
+    base.name,
+    group.name,
+    folder.title,
+    options.bookmarkMirrorConflicts,
+  );
+
+  await updateFolder(
+    folder.id,
+    bookmarks,
+    urls,
+    new Map(tabs.map((tab) => [tab.url, tab.title])),
+  );
+  if (folder.title !== name) {
+    await browser.bookmarks.update(folder.id, { title: name });
+  }
+  if (group.name !== name) {
+    await renameGroup(windowId, group.id, name);
+  }
+
+  // Detached tabs bookmarked again are mirrored like before
+  detached = detached.filter((url) => !urls.includes(url));
+  const removedTabs = tabs.filter((tab) => !urls.includes(tab.url));
+  if (options.bookmarkMirrorCloseTabs) {
+    if (removedTabs.length) {
+      await browser.tabs.remove(removedTabs.map((tab) => tab.id));
+    }
+  } else {
+    detached = unique([...detached, ...removedTabs.map((tab) => tab.url)]);
+  }
+  const openBookmarks = urls
+    .filter((url) => !groupTabUrls.includes(url))
+    .map((url) => ({
+      url,
+      title: bookmarks.find((bookmark) => bookmark.url === url)?.title,
+    }));
+  if (openBookmarks.length) {
+    await helpers.openTabs(windowId, group.id, openBookmarks);
+  }
+
+  return {
+    folderId: folder.id,
+    entry: { name, urls, windowId, groupId: group.id, detached },
+    conflict,
+  };
+}
+
+/**
+ * Sync every group of the open windows with its folder
+ * @param {object} options - Options from loadOptions()
+ * @param {object} helpers
+ * @param {Function} helpers.createGroup - (windowId, name) => group ID
+ * @param {Function} helpers.openTabs - (windowId, groupId, tabs) => void,
+ *   opens tabs of {url, title} in a group without making them visible
+ * @param {boolean} DEBUG - Log the changes
+ */
+async function runSync(options, helpers, DEBUG) {
+  const state = await getBookmarkMirrorState();
+  state.rootId = await getRootFolder(state.rootId, options.bookmarkMirrorRoot);
+
+  const [root] = await browser.bookmarks.getSubTree(state.rootId);
+  const folders = new Map(
+    (root.children || [])
+      .filter((node) => node.type === 'folder')
+      .map((node) => [node.id, node]),
+  );
+  const context = { options, helpers, linkedFolderIds: new Set() };
+  const synced = {};
+  let conflicts = 0;
+
+  // Private tabs are never written to the bookmarks
+  const windows = (
+    await browser.windows.getAll({ windowTypes: ['normal'] })
+  ).filter((browserWindow) => !browserWindow.incognito);
+  await windows.reduce(async (previousWindow, browserWindow) => {
+    await previousWindow;
+    const groups = (
+      (await stateManager.getGroups(browserWindow.id)) || []
+    ).filter(
+      (group) =>
+        isValidUserGroupId(group.id) &&
+        !unlinkedGroups.has(`${browserWindow.id}:${group.id}`),
+    );
+    const tabs = await browser.tabs.query({ windowId: browserWindow.id });
+    const tabGroupIds = await stateManager.getTabGroups(
+      tabs.map((tab) => tab.id),
+    );
+    const windowTabs = tabs.map((tab, index) => ({
+      ...tab,
+      groupId: tabGroupIds[index],
+    }));
+
+    await groups.reduce(async (previousGroup, group) => {
+      await previousGroup;
+      const result = await syncGroup(
+        group,
+        browserWindow.id,
+        windowTabs,
+        folders,
+        state,
+        context,
+      );
+      synced[result.folderId] = result.entry;
+      if (result.conflict) {
+        conflicts += 1;
+        if (DEBUG) {
+          console.debug(
+            `[BookmarkMirror] Group "${result.entry.name}" changed on both sides, resolved by "${options.bookmarkMirrorConflicts}"`,
+          );
+        }
+      }
+    }, Promise.resolve());
+  }, Promise.resolve());
+
+  // Folders the user added become groups of the last used window
+  const newFolders = [...folders.values()].filter(
+    (folder) =>
+      !context.linkedFolderIds.has(folder.id) && !state.folders[folder.id],
+  );
+  if (newFolders.length && windows.length) {
+    const lastFocused = await browser.windows.getLastFocused({
+      windowTypes: ['normal'],
+    });
+    const windowId = lastFocused.incognito ? windows[0].id : lastFocused.id;
+    await newFolders.reduce(async (previous, folder) => {
+      await previous;
+      const groupId = await helpers.createGroup(windowId, folder.title);
+      await setGroupFolder(windowId, groupId, folder.id);
+      const bookmarks = (folder.children || []).filter(
+        (node) => node.type === 'bookmark' && isMirrorUrl(node.url),
+      );
+      const urls = unique(bookmarks.map((node) => node.url));
+      if (urls.length) {
+        await helpers.openTabs(
+          windowId,
+          groupId,
+          urls.map((url) => ({
+            url,
+            title: bookmarks.find((node) => node.url === url).title,
+          })),
+        );
+      }
+      synced[folder.id] = { name: folder.title, urls, windowId, groupId };
+      if (DEBUG) {
+        console.debug(
+          `[BookmarkMirror] Made group "${folder.title}" from its folder`,
+        );
+      }
+    }, Promise.resolve());
+  }
+
+  // Folders of groups that aren't open are kept as they were
+  const keptFolders = Object.fromEntries(
+    Object.entries(state.folders).filter(
+      ([folderId]) => folders.has(folderId) && !synced[folderId],
+    ),
+  );
+
+  await browser.storage.local.set({
+    [MIRROR_KEY]: {
+      rootId: state.rootId,
+      folders: { ...keptFolders, ...synced },
+      lastSync: Date.now(),
+      lastError: null,
+      conflicts,
+    },
+  });
+}
+
+/**
+ * Sync the groups with their folders now, if the mirror is on
+ * Syncs requested while one is running are run once after it.
+ * @param {object} options - Options from loadOptions()
+ * @param {object} helpers - See runSync()
+ * @param {boolean} DEBUG - Log the changes
+ */
+export async function syncBookmarkMirror(options, helpers, DEBUG) {
+  if (!options.bookmarkMirror) {
+    return;
+  }
+  if (runningSync) {
+    syncAgain = true;
+    await runningSync;
+    return;
+  }
+
+  runningSync = runSync(options, helpers, DEBUG).catch(async (error) => {
+    console.error('[BookmarkMirror] Sync failed:', error);
+    const state = await getBookmarkMirrorState();
+    await browser.storage.local.set({
+      [MIRROR_KEY]: { ...state, lastError: error.message },
+    });
+  });
+  await runningSync;
+  runningSync = null;
+
+  if (syncAgain) {
+    syncAgain = false;
+    await syncBookmarkMirror(options, helpers, DEBUG);
+  }
+}
+
+/**
+ * Start or stop the alarm to match the options
+ * @param {object} options - Options from loadOptions()
+ */
+export async function setBookmarkMirrorAlarm(options) {
+  if (!options.bookmarkMirror) {
+    await browser.alarms.clear(BOOKMARK_MIRROR_ALARM);
+    return;
+  }
+  if (!(await browser.alarms.get(BOOKMARK_MIRROR_ALARM))) {
+    browser.alarms.create(BOOKMARK_MIRROR_ALARM, {
+      periodInMinutes: SYNC_PERIOD_MINUTES,
+    });
+  }
+}
+
+/**
+ * Sync a moment after the last of several changes
+ * @param {Function} sync - Runs syncBookmarkMirror() with fresh options
+ */
+export function scheduleBookmarkMirror(sync) {
+  clearTimeout(syncTimeout);
+  syncTimeout = setTimeout(sync, SYNC_DELAY_MS);
+}
+
+/**
+ * Stop syncing a group that's about to be deleted, so its folder is kept
+ * with the tabs the group had
+ * @param {number} windowId - The window ID
+ * @param {number} groupId - The group ID
+ */
+export function unlinkGroupFolder(windowId, groupId) {
+  unlinkedGroups.add(`${windowId}:${parseInt(groupId, 10)}`);
+}
+
+/**
+ * @param {Array<string|undefined>} ids - IDs of a changed bookmark and of
+ *   the folders it was or is in
+ * @returns {Promise<boolean>} True if the root folder or a folder of a group
+ *   is among them
+ */
+async function isMirrorChange(ids) {
+  const { rootId, folders } = await getBookmarkMirrorState();
+  return ids.some((id) => id && (id === rootId || !!folders[id]));
+}
+
+/**
+ * Sync when tabs or bookmarks in the root folder change, while the mirror is
+ * on. Without the listeners the alarm still catches changes made while the
+ * background was asleep.
+ * @param {object} options - Options from loadOptions()
+ * @param {Function} sync - Runs syncBookmarkMirror() with fresh options
+ */
+export function setBookmarkMirrorListeners(options, sync) {
+  if (!options.bookmarkMirror) {
+    if (removeListeners) {
+      removeListeners();
+      removeListeners = null;
+      listenerSync = null;
+    }
+    return;
+  }
+  if (removeListeners) {
+    return;
+  }
+
+  const schedule = () => scheduleBookmarkMirror(sync);
+  const scheduleFor = async (ids) => {
+    if (await isMirrorChange(ids)) {
+      schedule();
+    }
+  };
+  const listeners = [
+    [browser.tabs.onCreated, schedule],
+    [browser.tabs.onRemoved, schedule],
+    [browser.tabs.onAttached, schedule],
+    [browser.tabs.onDetached, schedule],
+    [browser.tabs.onMoved, schedule],
+    [browser.tabs.onUpdated, schedule, { properties: ['url'] }],
+    [
+      browser.bookmarks.onCreated,
+      (id, { parentId }) => scheduleFor([id, parentId]),
+    ],
+    [
+      browser.bookmarks.onRemoved,
+      (id, { parentId }) => scheduleFor([id, parentId]),
+    ],
+    [
+      browser.bookmarks.onChanged,
+      async (id) => {
+        try {
+          const [{ parentId }] = await browser.bookmarks.get(id);
+          await scheduleFor([id, parentId]);
+        } catch (error) {
+          // The bookmark was removed since, onRemoved takes care of it
+        }
+      },
+    ],
+    [
+      browser.bookmarks.onMoved,
+      (id, { parentId, oldParentId }) =>
+        scheduleFor([id, parentId, oldParentId]),
+    ],
+  ];
+  listeners.forEach(([event, listener, filter]) =>
+    filter ? event.addListener(listener, filter) : event.addListener(listener),
+  );
+  removeListeners = () =>
+    listeners.forEach(([event, listener]) => event.removeListener(listener));
+  listenerSync = sync;
+}
+
+/**
+ * Sync after tabs were moved between groups, which fires no tab event
+ */
+export function scheduleBookmarkMirrorForMove() {
+  if (listenerSync) {
+    scheduleBookmarkMirror(listenerSync);
+  }
+}
@@ -22,6 +22,12 @@ export const UNGROUPED_GROUP_NAME = 'Ungrouped Tabs';
 export const INITIALIZATION_TIMEOUT_MS = 10000; // 10 seconds
 export const SHOW_LOADING_UI_AFTER_MS = 1000; // Show loading UI after 1 second
 
+/**
+ * Group history constants
+ */
+export const GROUP_HISTORY_LENGTH = 20; // Groups remembered per window
+export const GROUP_CYCLE_TIMEOUT_MS = 1500; // Pause that ends an MRU cycle
+
 /**
  * Check if a group ID is a reserved system group
  */
@@ -35,3 +41,12 @@ export function isReservedGroupId(groupId) {
 export function isValidUserGroupId(groupId) {
   return typeof groupId === 'number' && groupId >= 0;
 }
+
+/**
+ * Keyboard commands that jump straight to a group by its position
+ * Slots 1-9 plus the last group; each can also be bound to a specific group
+ */
+export const ACTIVATE_GROUP_COMMAND_PREFIX = 'activate-group-';
+export const ACTIVATE_GROUP_COMMANDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 'last'].map(
+  (slot) => `${ACTIVATE_GROUP_COMMAND_PREFIX}${slot}`,
+);
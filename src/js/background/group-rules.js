@@ -0,0 +1,97 @@
+/**
+ * Group Rules - Route tabs to groups by their URL
+ *
+ * A rule pairs a URL pattern with the name of a target group. Groups are
+ * referenced by name because group IDs only exist per window.
+ *
+ * Rule shape:
+ * {
+ *   enabled: boolean,
+ *   type: 'host' | 'regex' | 'prefix',
+ *   pattern: string,
+ *   groupName: string,
+ * }
+ */
+
+export const RULE_TYPES = ['host', 'prefix', 'regex'];
+
+/**
+ * Convert a host glob like *.example.com into a regular expression
+ * @param {string} glob - Host pattern, * matches any run of characters
+ * @returns {RegExp} Anchored, case-insensitive expression
+ */
+export function hostGlobToRegExp(glob) {
+  const source = glob
+    .trim()
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check a rule's pattern without matching anything
+ * @param {object} rule - Group rule
+ * @returns {string|null} Reason the rule can't be used, or null if it's fine
+ */
+export function validateRule(rule) {
+  if (!RULE_TYPES.includes(rule.type)) {
+    return browser.i18n.getMessage('optionsGroupRulesUnknownType', [rule.type]);
+  }
+  if (!rule.pattern || !rule.pattern.trim()) {
+    return browser.i18n.getMessage('optionsGroupRulesEmptyPattern');
+  }
+  if (!rule.groupName || !rule.groupName.trim()) {
+    return browser.i18n.getMessage('optionsGroupRulesEmptyGroup');
+  }
+  if (rule.type === 'regex') {
+    try {
+      RegExp(rule.pattern);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {object} rule - Group rule
+ * @param {string} url - URL of the tab
+ * @returns {boolean} True if the URL matches the rule
+ */
+export function ruleMatches(rule, url) {
+  if (!rule.enabled || validateRule(rule) !== null) {
+    return false;
+  }
+
+  switch (rule.type) {
+    case 'host': {
+      let hostname;
+      try {
+        ({ hostname } = new URL(url));
+      } catch (error) {
+        return false;
+      }
+      return hostname !== '' && hostGlobToRegExp(rule.pattern).test(hostname);
+    }
+    case 'prefix':
+      return url.startsWith(rule.pattern.trim());
+    case 'regex':
+      return new RegExp(rule.pattern, 'i').test(url);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the first rule that applies to a URL
+ * @param {Array<object>} rules - Group rules in priority order
+ * @param {string} url - URL of the tab
+ * @returns {object|undefined} The matching rule
+ */
+export function findMatchingRule(rules, url) {
+  if (!url || !Array.isArray(rules)) {
+    return undefined;
+  }
+  return rules.find((rule) => ruleMatches(rule, url));
+}
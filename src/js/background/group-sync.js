@@ -0,0 +1,335 @@
+/**
+ * Group Sync - Share groups with other devices through storage.sync
+ *
+ * Groups with syncAcrossDevices set are published as
+ * { device: string, updated: number, groups: [{ name, color, urls }] }
+ * in JSON, compressed with deflate and base64 encoded. storage.sync only
+ * takes items of 8 KB, so the text is split into chunks:
+ *   groupSync:<deviceId>     { device, updated, chunks: number }
+ *   groupSync:<deviceId>:<n> string
+ * All devices together stay within SYNC_BUDGET of the 100 KB storage.sync
+ * holds, and devices that haven't published for STALE_DEVICE_MS are removed
+ * by the others. The ID of this device and the state are stored under the
+ * groupSync key of storage.local:
+ * {
+ *   deviceId: string,
+ *   lastSync: number|null, // Time the groups were last published
+ *   lastError: string|null, // Why publishing failed, null if it didn't
+ * }
+ */
+
+import { stateManager } from './StateManager.js';
+import { isValidUserGroupId } from './constants.js';
+
+export const GROUP_SYNC_ALARM = 'group-sync';
+
+const SYNC_KEY = 'groupSync';
+const SYNC_PREFIX = 'groupSync:';
+const PUBLISH_DELAY_MS = 30 * 1000;
+const PUBLISH_PERIOD_MINUTES = 15;
+// Share of storage.sync for the groups of all devices, the rest is left for
+// the options
+const SYNC_BUDGET = 64 * 1024;
+// Items of storage.sync may take 8 KB with their key
+const CHUNK_LENGTH = 6000;
+const MAX_CHUNKS = 4;
+// Size of an item besides its text: the key, quotes and the device item
+const ITEM_OVERHEAD = 100;
+const STALE_DEVICE_MS = 30 * 24 * 60 * 60 * 1000;
+// Unchanged groups are published again after this, so they don't go stale
+const REFRESH_MS = 24 * 60 * 60 * 1000;
+
+// Addresses that can be opened on another device
+const isSyncUrl = (url) => /^(https?|ftp):/.test(url || '');
+
+let publishTimeout = null;
+// JSON of the groups last published, to skip writing the same again
+let lastPublished = null;
+
+async function compressText(text) {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+}
+
+async function decompressText(base64) {
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+/**
+ * Get the state of this device, giving it an ID the first time
+ * @returns {Promise<object>} See the module description
+ */
+export async function getGroupSyncState() {
+  const { [SYNC_KEY]: state } = await browser.storage.local.get(SYNC_KEY);
+  if (state?.deviceId) {
+    return { lastSync: null, lastError: null, ...state };
+  }
+
+  const newState = {
+    deviceId: Math.random().toString(36).slice(2, 10),
+    lastSync: null,
+    lastError: null,
+  };
+  await browser.storage.local.set({ [SYNC_KEY]: newState });
+  return newState;
+}
+
+async function getDeviceName(options) {
+  if (options.groupSyncDeviceName) {
+    return options.groupSyncDeviceName;
+  }
+  const { os } = await browser.runtime.getPlatformInfo();
+  return browser.i18n.getMessage('groupSyncDefaultDevice', [os]);
+}
+
+/**
+ * Collect the shared groups of all windows but private ones
+ * @returns {Promise<Array<{name: string, color: string|null, urls: Array}>>}
+ */
+async function getSharedGroups() {
+  // Private tabs are never shared
+  const windows = (
+    await browser.windows.getAll({ windowTypes: ['normal'] })
+  ).filter((browserWindow) => !browserWindow.incognito);
+  const windowGroups = await Promise.all(
+    windows.map(async (browserWindow) => {
+      const groups = (
+        (await stateManager.getGroups(browserWindow.id)) || []
+      ).filter(
+        (group) => isValidUserGroupId(group.id) && group.syncAcrossDevices,
+      );
+      if (!groups.length) {
+        return [];
+      }
+
+      const tabs = await browser.tabs.query({ windowId: browserWindow.id });
+      const tabGroupIds = await stateManager.getTabGroups(
+        tabs.map((tab) => tab.id),
+      );
+      return groups.map((group) => ({
+        name: group.name,
+        color: group.color || null,
+        urls: tabs
+          .filter(
+            (tab, index) =>
+              tabGroupIds[index] === group.id && isSyncUrl(tab.url),
+          )
+          .map((tab) => tab.url),
+      }));
+    }),
+  );
+  return windowGroups.flat();
+}
+
+// storage.sync counts the key and the JSON of the value
+const getItemSize = (key, value) => key.length + JSON.stringify(value).length;
+
+const isDeviceKey = (key) =>
+  key.startsWith(SYNC_PREFIX) && !key.slice(SYNC_PREFIX.length).includes(':');
+
+function getDeviceKeys(items, deviceId) {
+  return Object.keys(items).filter(
+    (key) =>
+      key === `${SYNC_PREFIX}${deviceId}` ||
+      key.startsWith(`${SYNC_PREFIX}${deviceId}:`),
+  );
+}
+
+/**
+ * Remove the groups of a device from storage.sync
+ */
+async function removeDevice(deviceId) {
+  const keys = getDeviceKeys(await browser.storage.sync.get(null), deviceId);
+  if (keys.length) {
+    await browser.storage.sync.remove(keys);
+  }
+}
+
+/**
+ * Remove the groups of devices that stopped publishing
+ * @param {string} deviceId - ID of this device
+ * @returns {Promise<number>} Size of what the other devices still store
+ */
+async function pruneOtherDevices(deviceId) {
+  const items = await browser.storage.sync.get(null);
+  const now = Date.now();
+  const otherIds = Object.keys(items)
+    .filter(isDeviceKey)
+    .map((key) => key.slice(SYNC_PREFIX.length))
+    .filter((id) => id !== deviceId);
+  const staleIds = otherIds.filter(
+    (id) => !(now - items[`${SYNC_PREFIX}${id}`]?.updated < STALE_DEVICE_MS),
+  );
+
+  const staleKeys = staleIds.flatMap((id) => getDeviceKeys(items, id));
+  if (staleKeys.length) {
+    await browser.storage.sync.remove(staleKeys);
+  }
+  return otherIds
+    .filter((id) => !staleIds.includes(id))
+    .flatMap((id) => getDeviceKeys(items, id))
+    .reduce((size, key) => size + getItemSize(key, items[key]), 0);
+}
+
+/**
+ * Publish the shared groups of this device, or remove them when group sync
+ * is off
+ * @param {object} options - Options from loadOptions()
+ * @param {boolean} DEBUG - Log what was published
+ */
+export async function publishGroups(options, DEBUG) {
+  const state = await getGroupSyncState();
+
+  try {
+    if (!options.groupSync) {
+      if (lastPublished !== null || state.lastSync) {
+        await removeDevice(state.deviceId);
+        lastPublished = null;
+        await browser.storage.local.set({
+          [SYNC_KEY]: { ...state, lastSync: null, lastError: null },
+        });
+      }
+      return;
+    }
+
+    const device = await getDeviceName(options);
+    const groupsJson = JSON.stringify({
+      device,
+      groups: await getSharedGroups(),
+    });
+    const updated = Date.now();
+    if (groupsJson === lastPublished && updated - state.lastSync < REFRESH_MS) {
+      return;
+    }
+
+    const compressed = await compressText(
+      JSON.stringify({ ...JSON.parse(groupsJson), updated }),
+    );
+    const chunkCount = Math.ceil(compressed.length / CHUNK_LENGTH);
+    const available = Math.min(
+      CHUNK_LENGTH * MAX_CHUNKS,
+      SYNC_BUDGET -
+        (await pruneOtherDevices(state.deviceId)) -
+        (chunkCount + 1) * ITEM_OVERHEAD,
+    );
+    if (compressed.length > available) {
+      throw new Error(
+        browser.i18n.getMessage('groupSyncTooLarge', [
+          Math.ceil(compressed.length / 1024),
+          Math.max(0, Math.floor(available / 1024)),
+        ]),
+      );
+    }
+
+    const items = {
+      [`${SYNC_PREFIX}${state.deviceId}`]: {
+        device,
+        updated,
+        chunks: chunkCount,
+      },
+    };
+    for (let index = 0; index < chunkCount; index += 1) {
+      items[`${SYNC_PREFIX}${state.deviceId}:${index}`] = compressed.slice(
+        index * CHUNK_LENGTH,
+        (index + 1) * CHUNK_LENGTH,
+      );
+    }
+    await browser.storage.sync.set(items);
+
+    // Remove chunks left over from a larger earlier version
+    const staleKeys = Array.from(
+      { length: MAX_CHUNKS - chunkCount },
+      (_, index) => `${SYNC_PREFIX}${state.deviceId}:${chunkCount + index}`,
+    );
+    await browser.storage.sync.remove(staleKeys);
+
+    lastPublished = groupsJson;
+    await browser.storage.local.set({
+      [SYNC_KEY]: { ...state, lastSync: updated, lastError: null },
+    });
+    if (DEBUG) {
+      console.debug(
+        `[GroupSync] Published ${compressed.length} characters in ${chunkCount} chunks`,
+      );
+    }
+  } catch (error) {
+    console.error('[GroupSync] Publishing failed:', error);
+    await browser.storage.local.set({
+      [SYNC_KEY]: { ...state, lastError: error.message },
+    });
+  }
+}
+
+/**
+ * Publish a while after the last of several changes
+ * @param {Function} publish - Runs publishGroups() with fresh options
+ */
+export function schedulePublishGroups(publish) {
+  clearTimeout(publishTimeout);
+  publishTimeout = setTimeout(publish, PUBLISH_DELAY_MS);
+}
+
+/**
+ * Start or stop the alarm to match the options
+ * Moving tabs between groups fires no tab event, the alarm catches those.
+ * @param {object} options - Options from loadOptions()
+ */
+export async function setGroupSyncAlarm(options) {
+  if (!options.groupSync) {
+    await browser.alarms.clear(GROUP_SYNC_ALARM);
+    return;
+  }
+  if (!(await browser.alarms.get(GROUP_SYNC_ALARM))) {
+    browser.alarms.create(GROUP_SYNC_ALARM, {
+      periodInMinutes: PUBLISH_PERIOD_MINUTES,
+    });
+  }
+}
+
+/**
+ * Get the groups other devices published
+ * Devices in the middle of publishing are left out until they're done.
+ * @returns {Promise<Array<{deviceId: string, device: string, updated: number,
+ *   groups: Array<{name: string, color: string|null, urls: Array<string>}>}>>}
+ *   Devices, most recently updated first
+ */
+export async function getRemoteDevices() {
+  const { deviceId } = await getGroupSyncState();
+  const items = await browser.storage.sync.get(null);
+
+  const devices = await Promise.all(
+    Object.entries(items)
+      .filter(
+        ([key]) => isDeviceKey(key) && key !== `${SYNC_PREFIX}${deviceId}`,
+      )
+      .map(async ([key, item]) => {
+        const id = key.slice(SYNC_PREFIX.length);
+        try {
+          const { updated, chunks } = item;
+          const compressed = Array.from(
+            { length: chunks },
+            (_, index) => items[`${key}:${index}`],
+          ).join('');
+          const data = JSON.parse(await decompressText(compressed));
+          // Chunks of another version are still being written
+          if (data.updated !== updated) {
+            return null;
+          }
+          return { deviceId: id, ...data };
+        } catch (error) {
+          console.warn(`[GroupSync] Could not read device ${id}:`, error);
+          return null;
+        }
+      }),
+  );
+  return devices
+    .filter((device) => device && device.groups.length)
+    .sort((a, b) => b.updated - a.updated);
+}
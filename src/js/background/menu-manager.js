@@ -2,10 +2,102 @@
  * Menu Manager - Context menu management for Panorama Tab Groups
  *
  * Handles creation, updating, and removal of context menu items
- * for sending tabs to different groups.
+ * for sending tabs to different groups, and the bookmark menu item to open
+ * a folder as a group.
  */
 
 import { stateManager } from './StateManager.js';
+import { isValidUserGroupId } from './constants.js';
+
+export const SLEEP_GROUP_MENU_ID = 'sleep-group';
+export const WAKE_GROUP_MENU_ID = 'wake-group';
+export const WAKE_GROUP_MENU_PREFIX = 'wake-group-';
+export const OPEN_FOLDER_MENU_ID = 'open-bookmark-folder';
+
+// Submenu items of the sleeping groups, rebuilt whenever the menu is shown
+let wakeGroupMenuIds = [];
+
+/**
+ * Add the items to put a tab's group to sleep and to wake sleeping groups
+ */
+function addGroupSleepMenuItems() {
+  browser.menus.create({
+    id: SLEEP_GROUP_MENU_ID,
+    title: browser.i18n.getMessage('sleepGroup'),
+    contexts: ['tab'],
+  });
+  browser.menus.create({
+    id: WAKE_GROUP_MENU_ID,
+    title: browser.i18n.getMessage('wakeGroup'),
+    contexts: ['tab'],
+    visible: false,
+  });
+  wakeGroupMenuIds = [];
+}
+
+/**
+ * Show the sleep and wake items for the tab the menu was opened on
+ * Listener for browser.menus.onShown
+ * @param {Object} info - Menu info
+ * @param {Object} tab - Tab the menu was opened on
+ */
+export async function updateGroupSleepMenuItems(info, tab) {
+  if (!info.contexts.includes('tab') || !tab) {
+    return;
+  }
+
+  const groups = (await stateManager.getGroups(tab.windowId)) || [];
+  const tabGroupId = await stateManager.getTabGroup(tab.id);
+  const sleepingGroups = groups.filter(
+    (group) => isValidUserGroupId(group.id) && group.sleeping,
+  );
+
+  await Promise.all(wakeGroupMenuIds.map((id) => browser.menus.remove(id)));
+  wakeGroupMenuIds = sleepingGroups.map((group) =>
+    browser.menus.create({
+      id: `${WAKE_GROUP_MENU_PREFIX}${group.id}`,
+      title: group.name,
+      parentId: WAKE_GROUP_MENU_ID,
+      contexts: ['tab'],
+    }),
+  );
+
+  await browser.menus.update(SLEEP_GROUP_MENU_ID, {
+    visible: isValidUserGroupId(tabGroupId),
+  });
+  await browser.menus.update(WAKE_GROUP_MENU_ID, {
+    visible: sleepingGroups.length > 0,
+  });
+  browser.menus.refresh();
+}
+
+/**
+ * Add the item to open a bookmark folder as a new group
+ */
+function addOpenFolderMenuItem() {
+  browser.menus.create({
+    id: OPEN_FOLDER_MENU_ID,
+    title: browser.i18n.getMessage('openBookmarkFolder'),
+    contexts: ['bookmark'],
+  });
+}
+
+/**
+ * Only show the open folder item on folders
+ * Listener for browser.menus.onShown
+ * @param {Object} info - Menu info
+ */
+export async function updateOpenFolderMenuItem(info) {
+  if (!info.contexts.includes('bookmark') || !info.bookmarkId) {
+    return;
+  }
+
+  const [node] = await browser.bookmarks.get(info.bookmarkId);
+  await browser.menus.update(OPEN_FOLDER_MENU_ID, {
+    visible: node.type === 'folder',
+  });
+  browser.menus.refresh();
+}
 
 /**
  * Add refresh menu item to the end of the menu list
@@ -45,6 +137,8 @@ export async function addRefreshMenuItem() {
 export async function createMenuList() {
   try {
     await browser.menus.removeAll();
+    addGroupSleepMenuItems();
+    addOpenFolderMenuItem();
 
     // Get current window and its groups
     const currentWindow = await browser.windows.getCurrent();
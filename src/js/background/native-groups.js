@@ -7,6 +7,7 @@
 
 import { stateManager } from './StateManager.js';
 import { getColorForGroupId } from './utils.js';
+import { takeSnapshot } from './snapshots.js';
 
 /**
  * Helper: Enrich tab with full context (panorama group, window, native group)
@@ -436,7 +437,7 @@ async function migrateWindowGroups(windowId, stateMgr, DEBUG) {
           // Update the native group with title and color
           await browser.tabGroups.update(groupId, {
             title: group.name || `Group ${group.id}`,
-            color: getColorForGroupId(group.id),
+            color: group.color || getColorForGroupId(group.id),
           });
 
           // Update group with native ID reference
@@ -512,6 +513,7 @@ export async function migrateToHybridGroups(hasTabGroups, DEBUG) {
       return;
     }
 
+    await takeSnapshot('nativeMigration');
     const windows = await browser.windows.getAll({});
 
     await Promise.all(
@@ -0,0 +1,225 @@
+/**
+ * Snapshots - Rolling history of the group state of all windows
+ *
+ * A snapshot is taken before significant changes like deleting a group,
+ * migrating to native groups or moving several tabs at once. The newest
+ * MAX_SNAPSHOTS are stored under the snapshots key of storage.local:
+ * [{
+ *   id: string, // Unique snapshot ID
+ *   takenAt: number, // Timestamp
+ *   reason: string, // What was about to change, like 'deleteGroup'
+ *   windows: Array<{
+ *     windowId: number,
+ *     windowKey: string, // Session value of the window, see getWindowKey()
+ *     groups: Array<object>, // Group objects as stored in the session
+ *     activeGroup: number,
+ *     groupIndex: number,
+ *     tabs: Array<{id, url, title, groupId, index, pinned}>,
+ *   }>,
+ * }]
+ *
+ * Windows are in the backup format, so they can be opened with
+ * openBackupWindow(). Window and tab IDs change when the browser restarts, so
+ * windows are recognized by a key kept in their session and tabs by their URL
+ * and position.
+ */
+
+import { stateManager } from './StateManager.js';
+import { PANORAMA_VIEW_GROUP_ID } from './constants.js';
+
+const SNAPSHOTS_KEY = 'snapshots';
+const MAX_SNAPSHOTS = 20;
+const WINDOW_KEY = 'snapshotKey';
+
+/**
+ * Get all snapshots
+ * @returns {Promise<Array<object>>} Snapshots, most recent first
+ */
+export async function getSnapshots() {
+  const { [SNAPSHOTS_KEY]: snapshots } =
+    await browser.storage.local.get(SNAPSHOTS_KEY);
+  return snapshots || [];
+}
+
+/**
+ * Get a snapshot by its ID
+ * @param {string} snapshotId - The snapshot ID
+ * @returns {Promise<object|undefined>} The snapshot
+ */
+export async function getSnapshot(snapshotId) {
+  return (await getSnapshots()).find((snapshot) => snapshot.id === snapshotId);
+}
+
+/**
+ * Get the key of a window, giving it one the first time
+ * Session values are restored with the window, unlike its ID.
+ * @param {number} windowId - The window ID
+ * @returns {Promise<string>} The key
+ */
+async function getWindowKey(windowId) {
+  const windowKey = await browser.sessions.getWindowValue(windowId, WINDOW_KEY);
+  if (windowKey) {
+    return windowKey;
+  }
+
+  const newWindowKey = Math.random().toString(36).slice(2, 10);
+  await browser.sessions.setWindowValue(windowId, WINDOW_KEY, newWindowKey);
+  return newWindowKey;
+}
+
+async function getWindowSnapshot(windowId) {
+  const tabs = await browser.tabs.query({ windowId });
+  const tabGroupIds = await stateManager.getTabGroups(
+    tabs.map((tab) => tab.id),
+  );
+
+  return {
+    windowId,
+    windowKey: await getWindowKey(windowId),
+    groups: (await stateManager.getGroups(windowId)) || [],
+    activeGroup: await stateManager.getActiveGroup(windowId),
+    groupIndex: await stateManager.getGroupIndex(windowId),
+    tabs: tabs
+      .map((tab, index) => ({
+        id: tab.id,
+        url: tab.url,
+        title: tab.title,
+        groupId: tabGroupIds[index],
+        index: tab.index,
+        pinned: tab.pinned,
+      }))
+      .filter((tab) => tab.groupId !== PANORAMA_VIEW_GROUP_ID),
+  };
+}
+
+/**
+ * Add a snapshot of all windows to the history
+ * A failing snapshot is logged, but never keeps the change from happening.
+ * @param {string} reason - What is about to change
+ */
+export async function takeSnapshot(reason) {
+  try {
+    const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+    const snapshot = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      takenAt: Date.now(),
+      reason,
+      windows: await Promise.all(
+        windows.map((browserWindow) => getWindowSnapshot(browserWindow.id)),
+      ),
+    };
+
+    const snapshots = [snapshot, ...(await getSnapshots())].slice(
+      0,
+      MAX_SNAPSHOTS,
+    );
+    await browser.storage.local.set({ [SNAPSHOTS_KEY]: snapshots });
+  } catch (error) {
+    console.error(`[Snapshots] Snapshot before ${reason} failed:`, error);
+  }
+}
+
+/**
+ * Find the open window a window of a snapshot was taken of
+ * @param {object} snapshotWindow - Window of a snapshot
+ * @param {Array<{id: number, windowKey: string}>} openWindows - Open windows
+ *   with their keys
+ * @returns {number|undefined} ID of the open window
+ */
+function findSnapshotWindow(snapshotWindow, openWindows) {
+  return openWindows.find(
+    ({ windowKey }) => windowKey === snapshotWindow.windowKey,
+  )?.id;
+}
+
+/**
+ * Match the tabs of a snapshot window to open tabs
+ * Each open tab is used once, the one with the same URL nearest to the
+ * position of the tab in the snapshot wins.
+ * @param {Array<object>} snapshotTabs - Tabs of the snapshot window
+ * @param {Array<object>} openTabs - Tabs of the open window
+ * @returns {Array<{tabId: number, groupId: number}>} Open tabs and their
+ *   group in the snapshot
+ */
+function matchSnapshotTabs(snapshotTabs, openTabs) {
+  const unmatched = [...openTabs];
+  return snapshotTabs.flatMap((tab) => {
+    const candidates = unmatched.filter((openTab) => openTab.url === tab.url);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const nearest = candidates.reduce((best, openTab) =>
+      Math.abs(openTab.index - tab.index) < Math.abs(best.index - tab.index)
+        ? openTab
+        : best,
+    );
+    unmatched.splice(unmatched.indexOf(nearest), 1);
+    return [{ tabId: nearest.id, groupId: tab.groupId }];
+  });
+}
+
+/**
+ * Put the tabs of a snapshot that are still open back into their groups
+ * Tabs are recognized by their URL and position in their window. The groups
+ * of the snapshot are restored in their window, groups created since are
+ * kept.
+ * @param {object} snapshot - The snapshot
+ * @returns {Promise<Array<{windowId: number, activeGroup: number}>>} The
+ *   windows that were changed
+ */
+export async function reassignSnapshotTabs(snapshot) {
+  const openWindows = await Promise.all(
+    (await browser.windows.getAll({ windowTypes: ['normal'] })).map(
+      async ({ id }) => ({
+        id,
+        windowKey: await browser.sessions.getWindowValue(id, WINDOW_KEY),
+      }),
+    ),
+  );
+
+  const changedWindows = await Promise.all(
+    snapshot.windows.map(async (snapshotWindow) => {
+      const windowId = findSnapshotWindow(snapshotWindow, openWindows);
+      if (windowId === undefined) {
+        return null;
+      }
+      const tabs = matchSnapshotTabs(
+        [...snapshotWindow.tabs].sort((a, b) => a.index - b.index),
+        await browser.tabs.query({ windowId }),
+      );
+      if (tabs.length === 0) {
+        return null;
+      }
+
+      const currentGroups = (await stateManager.getGroups(windowId)) || [];
+      const snapshotGroupIds = snapshotWindow.groups.map((group) => group.id);
+      await stateManager.setGroups(windowId, [
+        // Native groups of the snapshot may be gone, new ones are made when
+        // needed
+        ...snapshotWindow.groups.map((group) => ({
+          ...group,
+          nativeGroupId: null,
+        })),
+        ...currentGroups.filter(
+          (group) => !snapshotGroupIds.includes(group.id),
+        ),
+      ]);
+      // Don't hand out IDs of groups created since again
+      const groupIndex = await stateManager.getGroupIndex(windowId);
+      await stateManager.setGroupIndex(
+        windowId,
+        Math.max(groupIndex || 0, snapshotWindow.groupIndex || 0),
+      );
+
+      await Promise.all(
+        tabs.map(({ tabId, groupId }) =>
+          stateManager.setTabGroup(tabId, groupId),
+        ),
+      );
+      return { windowId, activeGroup: snapshotWindow.activeGroup };
+    }),
+  );
+
+  return changedWindows.filter(Boolean);
+}
@@ -15,6 +15,19 @@ export function mod(x, n) {
   return ((x % n) + n) % n;
 }
 
+// Colors of native tab groups
+export const GROUP_COLORS = [
+  'grey',
+  'blue',
+  'red',
+  'yellow',
+  'green',
+  'pink',
+  'purple',
+  'cyan',
+  'orange',
+];
+
 /**
  * Get a color for a tab group based on its ID
  * Cycles through available colors for visual distinction
@@ -22,18 +35,7 @@ export function mod(x, n) {
  * @returns {string} Color name for the group
  */
 export function getColorForGroupId(groupId) {
-  const colors = [
-    'grey',
-    'blue',
-    'red',
-    'yellow',
-    'green',
-    'pink',
-    'purple',
-    'cyan',
-    'orange',
-  ];
-  return colors[groupId % colors.length];
+  return GROUP_COLORS[groupId % GROUP_COLORS.length];
 }
 
 /**
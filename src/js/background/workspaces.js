@@ -0,0 +1,57 @@
+/**
+ * Workspaces - Named layouts of a window's groups and tabs
+ *
+ * Workspaces are stored under the workspaces key of storage.local:
+ * [{
+ *   name: string, // Unique name
+ *   savedAt: number, // Timestamp
+ *   window: object, // Window in the backup format, see getBackupWindow()
+ * }]
+ */
+
+const WORKSPACES_KEY = 'workspaces';
+
+/**
+ * Get all workspaces
+ * @returns {Promise<Array<object>>} Workspaces sorted by name
+ */
+export async function getWorkspaces() {
+  const { [WORKSPACES_KEY]: workspaces } =
+    await browser.storage.local.get(WORKSPACES_KEY);
+  return workspaces || [];
+}
+
+/**
+ * Get a workspace by its name
+ * @param {string} name - Workspace name
+ * @returns {Promise<object|undefined>} The workspace
+ */
+export async function getWorkspace(name) {
+  return (await getWorkspaces()).find((workspace) => workspace.name === name);
+}
+
+/**
+ * Store a workspace, replacing the one with the same name
+ * @param {string} name - Workspace name
+ * @param {object} windowData - Window in the backup format
+ */
+export async function putWorkspace(name, windowData) {
+  const workspaces = (await getWorkspaces()).filter(
+    (workspace) => workspace.name !== name,
+  );
+  workspaces.push({ name, savedAt: Date.now(), window: windowData });
+  workspaces.sort((a, b) => a.name.localeCompare(b.name));
+
+  await browser.storage.local.set({ [WORKSPACES_KEY]: workspaces });
+}
+
+/**
+ * Delete a workspace
+ * @param {string} name - Workspace name
+ */
+export async function deleteWorkspace(name) {
+  const workspaces = (await getWorkspaces()).filter(
+    (workspace) => workspace.name !== name,
+  );
+  await browser.storage.local.set({ [WORKSPACES_KEY]: workspaces });
+}
@@ -0,0 +1,111 @@
+/**
+ * Archive Option Handler
+ * Lists archived groups to restore them into a window or purge them
+ */
+
+import { getPluralForm, newElement } from '../_share/utils.js';
+import fillWindowSelect from './window-select.js';
+
+function fillWindows() {
+  return fillWindowSelect(document.getElementById('archiveWindow'));
+}
+
+function makeArchivedGroupRow(archivedGroup, onChange) {
+  const tabCount = archivedGroup.tabs.length;
+  const favIcons = archivedGroup.tabs
+    .filter((tab) => tab.favIconUrl && !tab.favIconUrl.startsWith('chrome:'))
+    .slice(0, 5)
+    .map((tab) => newElement('img', { src: tab.favIconUrl, alt: '' }));
+
+  const restore = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('restoreArchivedGroup'),
+  });
+  restore.addEventListener('click', async () => {
+    const response = await browser.runtime.sendMessage({
+      action: 'restoreArchivedGroup',
+      archiveId: archivedGroup.id,
+      windowId: parseInt(document.getElementById('archiveWindow').value, 10),
+    });
+    const feedback = document.getElementById('archiveFeedback');
+    if (!response.success) {
+      console.error('Restoring archived group failed:', response.error);
+      feedback.textContent = response.error;
+    } else if (response.failedUrls.length > 0) {
+      feedback.textContent = browser.i18n.getMessage(
+        'optionsArchiveRestoreFailed',
+        [response.failedUrls.join(', ')],
+      );
+    }
+    feedback.hidden = response.success && response.failedUrls.length === 0;
+    onChange();
+  });
+
+  const purge = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('purgeArchivedGroup'),
+  });
+  purge.addEventListener('click', async () => {
+    if (
+      window.confirm(
+        browser.i18n.getMessage('purgeArchivedGroupWarning', [
+          archivedGroup.group.name,
+        ]),
+      )
+    ) {
+      await browser.runtime.sendMessage({
+        action: 'purgeArchivedGroup',
+        archiveId: archivedGroup.id,
+      });
+      onChange();
+    }
+  });
+
+  return newElement('tr', {}, [
+    newElement('td', {}, [
+      newElement('strong', { content: archivedGroup.group.name }),
+    ]),
+    newElement('td', {
+      content: getPluralForm(
+        tabCount,
+        browser.i18n.getMessage('optionsArchiveTabCount', [
+          tabCount,
+          new Date(archivedGroup.archivedAt).toLocaleString(),
+        ]),
+      ),
+    }),
+    newElement('td', {}, favIcons),
+    newElement('td', {}, [restore]),
+    newElement('td', {}, [purge]),
+  ]);
+}
+
+async function renderArchivedGroups() {
+  const { archivedGroups = [] } = await browser.runtime.sendMessage({
+    action: 'getArchivedGroups',
+  });
+  const list = document.getElementById('archivedGroupsList');
+
+  list.innerHTML = '';
+  archivedGroups.forEach((archivedGroup) => {
+    list.appendChild(makeArchivedGroupRow(archivedGroup, renderArchivedGroups));
+  });
+  document.getElementById('archiveEmpty').hidden = archivedGroups.length > 0;
+}
+
+/**
+ * Initialize the list of archived groups
+ */
+export default async function initArchiveOption() {
+  await fillWindows();
+  await renderArchivedGroups();
+
+  // Groups archived from the popup or the view while the page is open
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.archivedGroups) {
+      renderArchivedGroups();
+    }
+  });
+  browser.windows.onCreated.addListener(fillWindows);
+  browser.windows.onRemoved.addListener(fillWindows);
+}
@@ -0,0 +1,62 @@
+/**
+ * Auto Backup Option Handler
+ * Saves backups on a schedule and shows how the last one went
+ */
+
+import { loadOptions } from '../_share/options.js';
+import { getAutoBackupState } from '../background/auto-backup.js';
+
+async function showAutoBackupStatus() {
+  const status = document.getElementById('autoBackupStatus');
+  const { lastBackup, lastError } = await getAutoBackupState();
+
+  const messages = [
+    lastBackup
+      ? browser.i18n.getMessage('optionsAutoBackupLast', [
+          new Date(lastBackup).toLocaleString(),
+        ])
+      : browser.i18n.getMessage('optionsAutoBackupNever'),
+  ];
+  if (lastError) {
+    messages.push(
+      browser.i18n.getMessage('optionsAutoBackupFailed', [lastError]),
+    );
+  }
+  status.textContent = messages.join(' ');
+  status.classList.toggle('error-text', !!lastError);
+}
+
+/**
+ * Initialize the automatic backup options
+ */
+export default async function initAutoBackupOption() {
+  const options = await loadOptions();
+  const interval = document.getElementById('autoBackupInterval');
+  const count = document.getElementById('autoBackupCount');
+
+  interval.value = options.autoBackupInterval;
+  count.value = options.autoBackupCount;
+  await showAutoBackupStatus();
+
+  interval.addEventListener('change', async () => {
+    await browser.storage.sync.set({ autoBackupInterval: interval.value });
+    // Start or stop the alarm right away (storage.onChanged unreliable in MV3)
+    await browser.runtime.sendMessage({ action: 'scheduleAutoBackup' });
+  });
+
+  count.addEventListener('change', async () => {
+    const value = parseInt(count.value, 10);
+    if (!Number.isInteger(value) || value < 1) {
+      count.value = options.autoBackupCount;
+      return;
+    }
+    options.autoBackupCount = value;
+    await browser.storage.sync.set({ autoBackupCount: value });
+  });
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.autoBackup) {
+      showAutoBackupStatus();
+    }
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Auto Discard Option Handler
+ * Unloads the tabs of groups that have been inactive for a while
+ */
+
+import { loadOptions } from '../_share/options.js';
+
+/**
+ * Initialize the auto discard options
+ */
+export default async function initAutoDiscardOption() {
+  const options = await loadOptions();
+  const enabled = document.getElementById('autoDiscardEnabled');
+  const minutes = document.getElementById('autoDiscardMinutes');
+  const exemptPinned = document.getElementById('autoDiscardExemptPinned');
+  const exemptAudible = document.getElementById('autoDiscardExemptAudible');
+
+  enabled.checked = options.autoDiscardEnabled;
+  minutes.value = options.autoDiscardMinutes;
+  exemptPinned.checked = options.autoDiscardExemptPinned;
+  exemptAudible.checked = options.autoDiscardExemptAudible;
+
+  enabled.addEventListener('change', async () => {
+    await browser.storage.sync.set({ autoDiscardEnabled: enabled.checked });
+    // Start or stop the alarm right away (storage.onChanged unreliable in MV3)
+    await browser.runtime.sendMessage({ action: 'scheduleAutoDiscard' });
+  });
+
+  minutes.addEventListener('change', async () => {
+    const value = parseInt(minutes.value, 10);
+    if (!Number.isInteger(value) || value < 1) {
+      minutes.value = options.autoDiscardMinutes;
+      return;
+    }
+    options.autoDiscardMinutes = value;
+    await browser.storage.sync.set({ autoDiscardMinutes: value });
+  });
+
+  exemptPinned.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      autoDiscardExemptPinned: exemptPinned.checked,
+    });
+  });
+
+  exemptAudible.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      autoDiscardExemptAudible: exemptAudible.checked,
+    });
+  });
+}
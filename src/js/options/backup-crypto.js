@@ -0,0 +1,163 @@
+/**
+ * Backup Crypto - Encrypt backups with a passphrase
+ *
+ * Encrypted backups are JSON envelopes around the backup file:
+ * {
+ *   file: { type: 'panoramaViewEncrypted', version: 1, created: number },
+ *   kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: number, salt },
+ *   cipher: { name: 'AES-GCM', iv },
+ *   data: string, // The backup JSON, encrypted
+ * }
+ * The salt, iv and data are base64 encoded. The key is derived from the
+ * passphrase with the settings of the envelope, so they can be raised later
+ * without breaking older files.
+ */
+
+export const ENCRYPTED_BACKUP_TYPE = 'panoramaViewEncrypted';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Settings of files from elsewhere are bounded, to keep a changed file from
+// freezing the page
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const PBKDF2_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+const toBase64 = (bytes) =>
+  btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+const fromBase64 = (base64) =>
+  Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+
+/**
+ * Decode base64 of an envelope from elsewhere
+ * @throws {Error} If it isn't base64
+ */
+function readBase64(base64) {
+  try {
+    return fromBase64(base64);
+  } catch (error) {
+    throw new Error(browser.i18n.getMessage('optionsBackupEncryptedInvalid'));
+  }
+}
+
+async function deriveKey(passphrase, kdf) {
+  if (
+    kdf?.name !== 'PBKDF2' ||
+    !PBKDF2_HASHES.includes(kdf.hash) ||
+    !Number.isInteger(kdf.iterations) ||
+    kdf.iterations < 1 ||
+    kdf.iterations > MAX_PBKDF2_ITERATIONS ||
+    typeof kdf.salt !== 'string'
+  ) {
+    throw new Error(browser.i18n.getMessage('optionsBackupEncryptedInvalid'));
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      hash: kdf.hash,
+      iterations: kdf.iterations,
+      salt: readBase64(kdf.salt),
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/**
+ * Recognize an encrypted backup
+ * @param {string} text - Content of a file or pasted text
+ * @returns {object|null} The parsed envelope, null for anything else
+ */
+export function parseEncryptedBackup(text) {
+  try {
+    const data = JSON.parse(text);
+    return data?.file?.type === ENCRYPTED_BACKUP_TYPE ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {object} data - Backup in the panoramaView format
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<object>} The envelope, see the module description
+ */
+export async function encryptBackup(data, passphrase) {
+  const kdf = {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+  };
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await deriveKey(passphrase, kdf),
+    new TextEncoder().encode(JSON.stringify(data)),
+  );
+
+  return {
+    file: {
+      type: ENCRYPTED_BACKUP_TYPE,
+      version: ENCRYPTED_BACKUP_VERSION,
+      created: data.file?.created ?? Date.now(),
+    },
+    kdf,
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(encrypted)),
+  };
+}
+
+/**
+ * Decrypt an encrypted backup
+ * @param {object} envelope - Parsed encrypted backup
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<string|null>} Content of the backup file, null if the
+ *   passphrase is wrong or the file was changed
+ * @throws {Error} If the file is of a newer version or its settings are
+ *   broken
+ */
+export async function decryptBackup(envelope, passphrase) {
+  if (envelope.file.version > ENCRYPTED_BACKUP_VERSION) {
+    throw new Error(
+      browser.i18n.getMessage('optionsBackupNewerVersion', [
+        envelope.file.version,
+      ]),
+    );
+  }
+
+  if (
+    envelope.cipher?.name !== 'AES-GCM' ||
+    typeof envelope.cipher.iv !== 'string' ||
+    typeof envelope.data !== 'string'
+  ) {
+    throw new Error(browser.i18n.getMessage('optionsBackupEncryptedInvalid'));
+  }
+  const iv = readBase64(envelope.cipher.iv);
+  const data = readBase64(envelope.data);
+  if (iv.length === 0) {
+    throw new Error(browser.i18n.getMessage('optionsBackupEncryptedInvalid'));
+  }
+
+  const key = await deriveKey(passphrase, envelope.kdf);
+  try {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      data,
+    );
+    return new TextDecoder().decode(decrypted);
+  } catch (error) {
+    // AES-GCM can't tell a wrong key from changed data
+    return null;
+  }
+}
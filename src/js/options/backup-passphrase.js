@@ -0,0 +1,61 @@
+/**
+ * Backup Passphrase - Ask for the passphrase of an encrypted backup
+ */
+
+// Closes the open question with the passphrase or null
+let closeQuestion = null;
+
+/**
+ * Show the passphrase field below the file input
+ * @param {boolean} [wrongPassphrase] - The last passphrase didn't fit
+ * @returns {Promise<string|null>} The passphrase, null if cancelled
+ */
+export default function askBackupPassphrase(wrongPassphrase = false) {
+  const question = document.getElementById('backupPassphrase');
+  const input = document.getElementById('backupPassphraseInput');
+  const error = document.getElementById('backupPassphraseError');
+  const confirmButton = document.getElementById('backupPassphraseConfirm');
+  const cancelButton = document.getElementById('backupPassphraseCancel');
+
+  // A file chosen while another one asks for its passphrase replaces it
+  if (closeQuestion) {
+    closeQuestion(null);
+  }
+
+  input.value = '';
+  error.hidden = !wrongPassphrase;
+  question.hidden = false;
+  input.focus();
+
+  return new Promise((resolve) => {
+    const controller = new AbortController();
+    closeQuestion = (result) => {
+      controller.abort();
+      closeQuestion = null;
+      question.hidden = true;
+      input.value = '';
+      resolve(result);
+    };
+    const confirm = () => {
+      if (input.value !== '') {
+        closeQuestion(input.value);
+      }
+    };
+
+    confirmButton.addEventListener('click', confirm, {
+      signal: controller.signal,
+    });
+    input.addEventListener(
+      'keydown',
+      (event) => {
+        if (event.key === 'Enter') {
+          confirm();
+        }
+      },
+      { signal: controller.signal },
+    );
+    cancelButton.addEventListener('click', () => closeQuestion(null), {
+      signal: controller.signal,
+    });
+  });
+}
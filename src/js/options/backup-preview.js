@@ -0,0 +1,202 @@
+/**
+ * Backup Preview - Choose the windows and groups of a backup to restore
+ */
+
+import { getPluralForm, newElement } from '../_share/utils.js';
+import { isValidUserGroupId } from '../background/constants.js';
+
+// Closes the open preview with the chosen backup or null
+let closePreview = null;
+
+/**
+ * List the groups of a backed up window with their tabs
+ * Tabs of groups missing in the backup are listed as groups of their own.
+ * @param {object} wi - Window of a backup
+ * @returns {Array<{id: number, name: string, tabCount: number}>}
+ */
+function getPreviewGroups(wi) {
+  const tabCounts = new Map();
+  wi.tabs.forEach((tab) => {
+    const groupId = parseInt(tab.groupId, 10);
+    tabCounts.set(groupId, (tabCounts.get(groupId) || 0) + 1);
+  });
+
+  const groups = wi.groups.map((group) => ({
+    id: group.id,
+    name: group.name,
+    tabCount: tabCounts.get(group.id) || 0,
+  }));
+  tabCounts.forEach((tabCount, id) => {
+    if (!groups.some((group) => group.id === id)) {
+      groups.push({
+        id,
+        name: isValidUserGroupId(id)
+          ? `Group ${id}`
+          : browser.i18n.getMessage('optionsBackupPreviewUngrouped'),
+        tabCount,
+      });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Keep only the chosen groups of a backup, and the windows that have any
+ * A window whose active group wasn't chosen opens the first chosen one.
+ * @param {object} data - Backup in the current format
+ * @param {Array<Set<number>>} selection - Chosen group IDs of each window
+ * @returns {object} Backup with only the chosen groups and their tabs
+ */
+function filterBackup(data, selection) {
+  return {
+    ...data,
+    windows: data.windows
+      .map((wi, index) => {
+        const groups = wi.groups.filter((group) =>
+          selection[index].has(group.id),
+        );
+        const activeGroup = selection[index].has(wi.activeGroup)
+          ? wi.activeGroup
+          : (groups[0]?.id ?? [...selection[index]][0]);
+        return {
+          ...wi,
+          groups,
+          tabs: wi.tabs.filter((tab) =>
+            selection[index].has(parseInt(tab.groupId, 10)),
+          ),
+          activeGroup,
+        };
+      })
+      .filter((wi, index) => selection[index].size > 0),
+  };
+}
+
+function getTabCountText(tabCount) {
+  return getPluralForm(
+    tabCount,
+    browser.i18n.getMessage('optionsBackupPreviewTabCount', [tabCount]),
+  );
+}
+
+/**
+ * Show the windows and groups of a backup with checkboxes
+ * @param {object} data - Backup in the current format
+ * @param {string} [action] - 'restore' or 'export', what's done with the
+ *   chosen groups
+ * @returns {Promise<object|null>} The backup with the chosen groups, null if
+ *   the preview was cancelled or nothing was chosen
+ */
+export default function showBackupPreview(data, action = 'restore') {
+  const preview = document.getElementById('backupPreview');
+  const list = document.getElementById('backupPreviewList');
+  const total = document.getElementById('backupPreviewTotal');
+  const confirmButton = document.getElementById('backupPreviewConfirm');
+  const cancelButton = document.getElementById('backupPreviewCancel');
+
+  // A file chosen while another one is previewed replaces it
+  if (closePreview) {
+    closePreview(null);
+  }
+
+  const windowGroups = data.windows.map(getPreviewGroups);
+  const selection = windowGroups.map(
+    (groups) => new Set(groups.map((group) => group.id)),
+  );
+  const windowCheckboxes = [];
+
+  function updateTotal() {
+    const tabCount = windowGroups.reduce(
+      (sum, groups, index) =>
+        sum +
+        groups
+          .filter((group) => selection[index].has(group.id))
+          .reduce((groupSum, group) => groupSum + group.tabCount, 0),
+      0,
+    );
+    total.textContent = browser.i18n.getMessage(
+      `optionsBackupPreviewTotal_${action}`,
+      [getTabCountText(tabCount)],
+    );
+    confirmButton.disabled = selection.every((groupIds) => groupIds.size === 0);
+
+    windowCheckboxes.forEach((checkbox, index) => {
+      const { size } = selection[index];
+      checkbox.checked = size === windowGroups[index].length;
+      checkbox.indeterminate = size > 0 && size < windowGroups[index].length;
+    });
+  }
+
+  list.innerHTML = '';
+  windowGroups.forEach((groups, index) => {
+    const groupCheckboxes = groups.map((group) => {
+      const checkbox = newElement('input', { type: 'checkbox' });
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selection[index].add(group.id);
+        } else {
+          selection[index].delete(group.id);
+        }
+        updateTotal();
+      });
+      return newElement('li', {}, [
+        newElement('label', {}, [
+          checkbox,
+          newElement('span', {
+            content: `${group.name} (${getTabCountText(group.tabCount)})`,
+          }),
+        ]),
+      ]);
+    });
+
+    const windowCheckbox = newElement('input', { type: 'checkbox' });
+    windowCheckbox.addEventListener('change', () => {
+      groupCheckboxes.forEach((item) => {
+        item.querySelector('input').checked = windowCheckbox.checked;
+      });
+      selection[index] = new Set(
+        windowCheckbox.checked ? groups.map((group) => group.id) : [],
+      );
+      updateTotal();
+    });
+    windowCheckboxes.push(windowCheckbox);
+
+    list.appendChild(
+      newElement('li', {}, [
+        newElement('label', {}, [
+          windowCheckbox,
+          newElement('strong', {
+            content: browser.i18n.getMessage('optionsBackupPreviewWindow', [
+              index + 1,
+            ]),
+          }),
+        ]),
+        newElement('ul', {}, groupCheckboxes),
+      ]),
+    );
+  });
+  confirmButton.textContent = browser.i18n.getMessage(
+    `optionsBackupPreviewConfirm_${action}`,
+  );
+  updateTotal();
+  preview.hidden = false;
+
+  return new Promise((resolve) => {
+    const controller = new AbortController();
+    closePreview = (result) => {
+      controller.abort();
+      closePreview = null;
+      preview.hidden = true;
+      list.innerHTML = '';
+      resolve(result);
+    };
+    confirmButton.addEventListener(
+      'click',
+      () => closePreview(filterBackup(data, selection)),
+      { signal: controller.signal },
+    );
+    cancelButton.addEventListener('click', () => closePreview(null), {
+      signal: controller.signal,
+    });
+  });
+}
@@ -1,350 +1,261 @@
-import { currentOptions } from '../_share/options.js';
-
-function convertBackup(tgData) {
-  const data = {
-    file: {
-      type: 'panoramaView',
-      version: 1,
-    },
-    windows: [],
-  };
-
-  tgData.windows.forEach((wi, index) => {
-    const tabviewGroup = JSON.parse(wi.extData['tabview-group']);
-    const tabviewGroups = JSON.parse(wi.extData['tabview-groups']);
+import {
+  downloadBackup,
+  downloadFile,
+  getBackup,
+  makeDateString,
+  openBackup,
+} from '../_share/backup.js';
+import { parseImport } from './importers.js';
+import { formatLinks } from '../_share/link-export.js';
+import { decodeMozLz4, isMozLz4 } from './mozlz4.js';
+import fillWindowSelect from './window-select.js';
+import showBackupPreview from './backup-preview.js';
+import showRestoreProgress from './restore-progress.js';
+import {
+  decryptBackup,
+  encryptBackup,
+  parseEncryptedBackup,
+} from './backup-crypto.js';
+import askBackupPassphrase from './backup-passphrase.js';
+
+function showBackupFeedback(messages, isError) {
+  const feedback = document.getElementById('backupFeedback');
+  feedback.textContent = messages.join(' ');
+  feedback.classList.toggle('error-text', isError);
+  feedback.classList.toggle('info-text', !isError);
+  feedback.hidden = messages.length === 0;
+}
 
-    data.windows[index] = {
-      groups: [],
-      tabs: [],
-      activeGroup: tabviewGroups.activeGroupId,
-      groupIndex: tabviewGroups.nextID,
-      position: {},
-    };
-    data.windows[wi].position = {
-      left: wi.screenX,
-      top: wi.screenY,
-      height: wi.height,
-      width: wi.width,
-    };
+function showBackupProblems(problems) {
+  showBackupFeedback(
+    problems.length
+      ? [browser.i18n.getMessage('optionsBackupInvalid'), problems.join(' · ')]
+      : [],
+    true,
+  );
+}
 
-    const nGroups = Object.keys(tabviewGroup).length;
-    const gwidth = 0.25;
-    let curX = 0.0;
-    const deltaX = 1 / (nGroups < 4 ? 4 : nGroups + 1);
-    let curY = 0.0;
-    const deltaY = 1 / 32;
-    tabviewGroup.forEach((gkey) => {
-      data.windows[index].groups.push({
-        id: gkey.id,
-        name: gkey.title,
-        rect: {
-          x: curX,
-          y: curY,
-          w: gwidth,
-          h: 0.5,
-        },
-      });
-      curX += deltaX;
-      curY += deltaY;
-    });
+/**
+ * Merge a backup into an open window instead of opening new windows
+ * The background creates the tabs and reports how far it is through a port.
+ * @param {object} data - Backup in the current format
+ * @param {number} windowId - The window ID
+ */
+async function mergeBackup(data, windowId) {
+  const port = browser.runtime.connect({ name: 'mergeBackup' });
+  const progress = showRestoreProgress(() =>
+    port.postMessage({ cancel: true }),
+  );
 
-    wi.tabs.forEach((tab, tIndex) => {
-      let groupId;
-      if (tab.pinned === true) {
-        groupId = 0;
-      } else if (tab.extData) {
-        groupId = JSON.parse(tab.extData['tabview-tab']).groupID;
-      } else {
-        // No associated groupId, where should it go???
-        console.debug(
-          `Skipping tab with missing groupId: ${tab.entries[0].url}`,
-        );
-        return;
+  const response = await new Promise((resolve) => {
+    port.onMessage.addListener((message) => {
+      if (message.progress) {
+        // Cancelling is up to the page, the background only follows
+        Object.assign(progress, message.progress);
+        progress.update();
+      } else if (message.result) {
+        resolve(message.result);
       }
-      data.windows[index].tabs.push({
-        url: tab.entries[0].url,
-        title: tab.entries[0].title,
-        groupId,
-        index: Number(tIndex),
-        lastAccessed: tab.lastAccessed,
-        pinned: tab.pinned,
-      });
+    });
+    port.onDisconnect.addListener(() => {
+      resolve({ success: false, error: port.error?.message });
+    });
+    port.postMessage({
+      data,
+      windowId,
+      matchGroups: document.getElementById('backupMatchGroups').checked,
     });
   });
+  port.disconnect();
 
-  return data;
+  if (!response.success) {
+    showBackupFeedback([response.error], true);
+    return;
+  }
+  showBackupFeedback(
+    [
+      browser.i18n.getMessage('optionsBackupMerged', [
+        response.tabCount,
+        response.skippedCount,
+      ]),
+    ],
+    false,
+  );
 }
 
-function getGroupIdsFromTabs(window) {
-  const allGroupIds = [];
-  window.tabs.forEach((tab) => {
-    allGroupIds.push(tab.groupId);
-  });
-
-  const uniqueGroupIds = [...new Set(allGroupIds)];
-  return uniqueGroupIds;
+/**
+ * Ask for the passphrase of an encrypted backup until it fits
+ * @param {object} envelope - Parsed encrypted backup
+ * @param {boolean} [wrongPassphrase] - The last passphrase didn't fit
+ * @returns {Promise<string|null>} Content of the backup, null if cancelled
+ */
+async function decryptImport(envelope, wrongPassphrase = false) {
+  const passphrase = await askBackupPassphrase(wrongPassphrase);
+  if (passphrase === null) {
+    return null;
+  }
+  const text = await decryptBackup(envelope, passphrase);
+  return text ?? decryptImport(envelope, true);
 }
 
-async function openBackup(data) {
-  await browser.runtime.sendMessage({
-    action: 'setBackgroundState',
-    key: 'openingBackup',
-    value: true,
-  });
-
-  // Use Promise.all to wait for all windows to be processed
-  await Promise.all(
-    data.windows.map(async (wi) => {
-      const groups = [];
-
-      if (wi.groups.length === 0) {
-        console.debug('no groups in backup, trying to retrieve them from tabs');
-        const newGroupIds = getGroupIdsFromTabs(wi);
-
-        // TODO: eval rect by minimum size and fit it optimally on screen
-
-        let curX = 0.0;
-        const delta = 1 / newGroupIds.length;
-
-        for (let i = 0; i < newGroupIds.length; i += 1) {
-          const gId = newGroupIds[i];
-          wi.groups.push({
-            id: gId,
-            name: `Group ${gId}`,
-            rect: {
-              x: curX,
-              y: 0,
-              w: delta,
-              h: 0.5,
-            },
-          });
-          curX += delta;
-        }
-      }
+/**
+ * Preview a backup or import, then open or merge it as chosen on the page
+ * Encrypted backups are decrypted first.
+ * @param {string} text - Content of a file or pasted text
+ */
+async function importText(text) {
+  const envelope = parseEncryptedBackup(text);
+  if (envelope) {
+    showBackupProblems([]);
+    let decrypted;
+    try {
+      decrypted = await decryptImport(envelope);
+    } catch (error) {
+      showBackupProblems([error.message]);
+      return;
+    }
+    if (decrypted !== null) {
+      await importText(decrypted);
+    }
+    return;
+  }
 
-      wi.groups.forEach((gi) => {
-        groups.push({
-          id: gi.id,
-          name: gi.name,
-          containerId: 'firefox-default',
-          rect: gi.rect,
-          tabCount: 0,
-        });
-      });
+  const { data: backup, problems, report } = parseImport(text);
+  showBackupProblems(problems);
+  if (!backup) {
+    return;
+  }
+  if (report.length) {
+    showBackupFeedback(
+      [
+        browser.i18n.getMessage('optionsBackupImportReport'),
+        report.join(' · '),
+      ],
+      false,
+    );
+  }
 
-      let windata = {};
-      if (wi.position) {
-        windata = wi.position;
-      }
-      const window = await browser.windows.create({});
-      await browser.windows.update(window.id, windata);
+  const data = await showBackupPreview(backup);
+  if (!data) {
+    return;
+  }
 
-      await browser.sessions.setWindowValue(window.id, 'groups', groups);
-      await browser.sessions.setWindowValue(
-        window.id,
-        'activeGroup',
-        wi.activeGroup,
-      );
-      await browser.sessions.setWindowValue(
-        window.id,
-        'groupIndex',
-        wi.groupIndex,
-      );
+  const target = document.getElementById('backupImportTarget').value;
+  if (target === 'new') {
+    await openBackup(data, showRestoreProgress());
+  } else {
+    await mergeBackup(data, parseInt(target, 10));
+  }
+}
 
-      // Use Promise.all to wait for all tabs to be created
-      await Promise.all(
-        wi.tabs.map(async (ti) => {
-          // pinned tabs are not allowed to be discarded
-          let bdiscarded;
-          if (ti.pinned === true) {
-            bdiscarded = false;
-          } else {
-            bdiscarded = true;
-          }
+/**
+ * Import a file, Firefox session files are decompressed first
+ * @param {File} file - A backup, export or session file
+ */
+async function importFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let text;
+  try {
+    text = isMozLz4(bytes)
+      ? decodeMozLz4(bytes)
+      : new TextDecoder().decode(bytes);
+  } catch (error) {
+    showBackupProblems([error.message]);
+    return;
+  }
+  await importText(text);
+}
 
-          const tab = await browser.tabs
-            .create({
-              url: ti.url,
-              active: false,
-              discarded: bdiscarded,
-              windowId: window.id,
-              pinned: ti.pinned,
-            })
-            .catch((err) => {
-              console.debug(err);
-            });
+export async function loadBackup(input) {
+  const [file] = input.target.files;
+  // Let the same file be chosen again
+  input.target.value = '';
+  await importFile(file);
+}
 
-          if (tab) {
-            await browser.sessions.setTabValue(
-              tab.id,
-              'groupId',
-              parseInt(ti.groupId, 10),
-            );
-            // await browser.tabs.discard(tab.id);
-          }
-        }),
-      );
+/**
+ * Import the list in the text field, or a file dropped onto it
+ */
+function initTextImport() {
+  const textInput = document.getElementById('importTextInput');
 
-      if ((await currentOptions).view === 'freeform') {
-        // Show freeform view
-        const freeformViewTab = await browser.tabs.create({
-          url: '/view.html',
-          active: true,
-          windowId: window.id,
-        });
-        await browser.sessions.setTabValue(freeformViewTab.id, 'groupId', -1);
-      } else {
-        // Remove the "New tab"-tab
-        const activeNewTabs = await browser.tabs.query({
-          windowId: window.id,
-          active: true,
-        });
-        if (activeNewTabs.length === 1) {
-          await browser.tabs.remove(activeNewTabs[0].id);
-        }
-      }
-    }),
-  );
+  document.getElementById('importTextButton').addEventListener('click', () => {
+    if (textInput.value.trim() !== '') {
+      importText(textInput.value);
+    }
+  });
 
-  await browser.runtime.sendMessage({
-    action: 'setBackgroundState',
-    key: 'openingBackup',
-    value: false,
+  textInput.addEventListener('drop', (event) => {
+    const [file] = event.dataTransfer.files;
+    if (file) {
+      event.preventDefault();
+      importFile(file);
+    }
   });
 }
 
-export function loadBackup(input) {
-  const file = input.target.files[0];
-
-  if (file.type === 'application/json') {
-    const reader = new FileReader();
-
-    reader.onload = function parseJSON(json) {
-      let data = JSON.parse(json.target.result);
-
-      // panorama view backup
-      if (
-        data.file &&
-        data.file.type === 'panoramaView' &&
-        data.file.version === 1
-      ) {
-        // nothing to do..
-        // if it's a tab groups backup
-      } else if (
-        ((data.version && data.version[0] === 'tabGroups') ||
-          (data.version && data.version[0] === 'sessionrestore')) &&
-        data.version[1] === 1
-      ) {
-        data = convertBackup(data);
-      } else {
-        alert('Invalid file');
-        return;
-      }
-
-      // console.debug(JSON.stringify(data, null, 4));
-      openBackup(data);
-    };
-
-    reader.readAsText(file);
-  } else {
-    alert('Invalid file');
-  }
+function fillImportTargets() {
+  return fillWindowSelect(document.getElementById('backupImportTarget'), 'new');
 }
 
-function makeDateString() {
-  const pad = function padNum(num) {
-    const s = `00${num}`;
-    return s.substr(-2);
-  };
-
-  const date = new Date();
-  let string = '';
-
-  string += pad(date.getFullYear());
-  string += pad(date.getMonth() + 1);
-  string += pad(date.getDate());
-  string += '-';
-  string += pad(date.getHours());
-  string += pad(date.getMinutes());
-  string += pad(date.getSeconds());
-
-  return string;
+/**
+ * Initialize the choice where backups are imported to and the text import
+ */
+export async function initBackupImport() {
+  await fillImportTargets();
+  initTextImport();
+  document
+    .getElementById('backupImportTarget')
+    .addEventListener('change', (event) => {
+      document.getElementById('backupMatchGroups').disabled =
+        event.target.value === 'new';
+    });
+  document.getElementById('backupMatchGroups').disabled = true;
+  browser.windows.onCreated.addListener(fillImportTargets);
+  browser.windows.onRemoved.addListener(fillImportTargets);
 }
 
+/**
+ * Download a backup of all windows, encrypted if a passphrase is entered
+ */
 export async function saveBackup() {
-  const data = {
-    file: {
-      type: 'panoramaView',
-      version: 1,
-    },
-    windows: [],
-  };
-
-  const windows = await browser.windows.getAll({});
-
-  // Use Promise.all to wait for all window processing to complete
-  await Promise.all(
-    windows.map(async (wi, index) => {
-      const groups = await browser.sessions.getWindowValue(wi.id, 'groups');
-      const groupIndex = await browser.sessions.getWindowValue(
-        wi.id,
-        'groupIndex',
-      );
-      const activeGroup = await browser.sessions.getWindowValue(
-        wi.id,
-        'activeGroup',
-      );
-
-      data.windows[index] = {
-        groups: [],
-        tabs: [],
-        activeGroup,
-        groupIndex,
-      };
-
-      if (groups) {
-        groups.forEach((gi) => {
-          data.windows[index].groups.push({
-            id: gi.id,
-            name: gi.name,
-            rect: gi.rect,
-          });
-        });
-      }
-
-      const tabs = await browser.tabs.query({ windowId: wi.id });
+  const passphraseInput = document.getElementById('backupEncryptPassphrase');
+  const repeatInput = document.getElementById('backupEncryptRepeat');
+  const passphrase = passphraseInput.value;
+
+  repeatInput.setCustomValidity(
+    passphrase === repeatInput.value
+      ? ''
+      : browser.i18n.getMessage('optionsBackupPassphraseMismatch'),
+  );
+  if (!repeatInput.reportValidity()) {
+    return;
+  }
 
-      // Use Promise.all to wait for all tab processing to complete
-      await Promise.all(
-        tabs.map(async (tab) => {
-          const groupId = await browser.sessions.getTabValue(tab.id, 'groupId');
+  // Don't leave the passphrase on the page
+  passphraseInput.value = '';
+  repeatInput.value = '';
 
-          if (groupId !== -1) {
-            data.windows[index].tabs.push({
-              url: tab.url,
-              title: tab.title,
-              groupId,
-              index: tab.index,
-              lastAccessed: tab.lastAccessed,
-              pinned: tab.pinned,
-            });
-          }
-        }),
-      );
-    }),
+  const data = await getBackup();
+  await downloadBackup(
+    passphrase ? await encryptBackup(data, passphrase) : data,
   );
+}
 
-  const blob = new Blob([JSON.stringify(data, null, '\t')], {
-    type: 'application/json',
-  });
-  const dataUrl = window.URL.createObjectURL(blob);
-
-  const filename = `panoramaView-backup-${makeDateString()}.json`;
+/**
+ * Export the tabs of the chosen windows and groups in the chosen link format
+ */
+export async function exportLinks() {
+  const format = document.getElementById('linkExportFormat').value;
+  const data = await showBackupPreview(await getBackup(), 'export');
+  if (!data) {
+    return;
+  }
 
-  await browser.downloads.download({
-    url: dataUrl,
-    filename,
-    conflictAction: 'uniquify',
-    saveAs: true,
-  });
+  const { content, type, extension } = formatLinks(data.windows, format);
+  await downloadFile(
+    content,
+    type,
+    `panoramaView-links-${makeDateString()}.${extension}`,
+  );
 }
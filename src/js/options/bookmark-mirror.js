@@ -0,0 +1,103 @@
+/**
+ * Bookmark Option Handler
+ * Keeps a bookmark folder for each group and shows how the last sync went,
+ * and whether to switch to groups opened from a bookmark folder
+ */
+
+import { loadOptions } from '../_share/options.js';
+import { getBookmarkMirrorState } from '../background/bookmark-mirror.js';
+
+async function showBookmarkMirrorStatus() {
+  const status = document.getElementById('bookmarkMirrorStatus');
+  const { lastSync, lastError, conflicts } = await getBookmarkMirrorState();
+
+  const messages = [
+    lastSync
+      ? browser.i18n.getMessage('optionsBookmarkMirrorLast', [
+          new Date(lastSync).toLocaleString(),
+        ])
+      : browser.i18n.getMessage('optionsBookmarkMirrorNever'),
+  ];
+  if (conflicts) {
+    messages.push(
+      browser.i18n.getMessage('optionsBookmarkMirrorConflictCount', [
+        conflicts,
+      ]),
+    );
+  }
+  if (lastError) {
+    messages.push(
+      browser.i18n.getMessage('optionsBookmarkMirrorFailed', [lastError]),
+    );
+  }
+  status.textContent = messages.join(' ');
+  status.classList.toggle('error-text', !!lastError);
+}
+
+/**
+ * Initialize the bookmark mirror options
+ */
+export default async function initBookmarkMirrorOption() {
+  const options = await loadOptions();
+  const enabled = document.getElementById('bookmarkMirror');
+  const root = document.getElementById('bookmarkMirrorRoot');
+  const conflicts = document.getElementById('bookmarkMirrorConflicts');
+  const closeTabs = document.getElementById('bookmarkMirrorCloseTabs');
+  const syncButton = document.getElementById('bookmarkMirrorSync');
+  const switchToGroup = document.getElementById('switchToBookmarkGroup');
+
+  enabled.checked = options.bookmarkMirror;
+  root.value = options.bookmarkMirrorRoot;
+  conflicts.value = options.bookmarkMirrorConflicts;
+  closeTabs.checked = options.bookmarkMirrorCloseTabs;
+  syncButton.disabled = !options.bookmarkMirror;
+  switchToGroup.checked = options.switchToBookmarkGroup;
+  await showBookmarkMirrorStatus();
+
+  // Sync right away (storage.onChanged unreliable in MV3)
+  const sync = () =>
+    browser.runtime.sendMessage({ action: 'syncBookmarkMirror' });
+
+  enabled.addEventListener('change', async () => {
+    syncButton.disabled = !enabled.checked;
+    await browser.storage.sync.set({ bookmarkMirror: enabled.checked });
+    await sync();
+  });
+
+  root.addEventListener('change', async () => {
+    const value = root.value.trim();
+    if (!value) {
+      root.value = options.bookmarkMirrorRoot;
+      return;
+    }
+    options.bookmarkMirrorRoot = value;
+    await browser.storage.sync.set({ bookmarkMirrorRoot: value });
+    await sync();
+  });
+
+  conflicts.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      bookmarkMirrorConflicts: conflicts.value,
+    });
+  });
+
+  closeTabs.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      bookmarkMirrorCloseTabs: closeTabs.checked,
+    });
+  });
+
+  syncButton.addEventListener('click', sync);
+
+  switchToGroup.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      switchToBookmarkGroup: switchToGroup.checked,
+    });
+  });
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.bookmarkMirror) {
+      showBookmarkMirrorStatus();
+    }
+  });
+}
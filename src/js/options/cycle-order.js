@@ -0,0 +1,7 @@
+export default async function saveOptionGroupCycleOrder() {
+  await browser.storage.sync.set({
+    groupCycleOrder: document.querySelector(
+      'input[name="groupCycleOrder"]:checked',
+    ).value,
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * Group Rules Option Handler
+ * Editor for the rules that route tabs to groups by their URL
+ */
+
+import { loadOptions } from '../_share/options.js';
+import { newElement } from '../_share/utils.js';
+import { RULE_TYPES, validateRule } from '../background/group-rules.js';
+import { isValidUserGroupId } from '../background/constants.js';
+
+let rules = [];
+
+async function saveRules() {
+  await browser.storage.sync.set({ groupRules: rules });
+}
+
+function showRuleProblems() {
+  const feedback = document.getElementById('groupRulesFeedback');
+  const problems = rules
+    .map((rule, index) => {
+      const problem = validateRule(rule);
+      return problem ? `#${index + 1}: ${problem}` : null;
+    })
+    .filter(Boolean);
+
+  feedback.textContent = problems.join(' · ');
+  feedback.hidden = problems.length === 0;
+}
+
+function makeRuleRow(rule, onRemove) {
+  const enabled = newElement('input', { type: 'checkbox' });
+  enabled.checked = rule.enabled;
+  enabled.addEventListener('change', () => {
+    rule.enabled = enabled.checked;
+    saveRules();
+  });
+
+  const type = newElement(
+    'select',
+    {},
+    RULE_TYPES.map((ruleType) =>
+      newElement('option', {
+        value: ruleType,
+        content: browser.i18n.getMessage(`optionsGroupRulesType_${ruleType}`),
+      }),
+    ),
+  );
+  type.value = rule.type;
+  type.addEventListener('change', () => {
+    rule.type = type.value;
+    showRuleProblems();
+    saveRules();
+  });
+
+  const pattern = newElement('input', { type: 'text', value: rule.pattern });
+  pattern.addEventListener('change', () => {
+    rule.pattern = pattern.value;
+    showRuleProblems();
+    saveRules();
+  });
+
+  const groupName = newElement('input', {
+    type: 'text',
+    value: rule.groupName,
+    list: 'groupRulesGroupNames',
+  });
+  groupName.addEventListener('change', () => {
+    rule.groupName = groupName.value;
+    showRuleProblems();
+    saveRules();
+  });
+
+  const remove = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('optionsGroupRulesRemove'),
+  });
+  remove.addEventListener('click', onRemove);
+
+  return newElement('tr', {}, [
+    newElement('td', {}, [enabled]),
+    newElement('td', {}, [type]),
+    newElement('td', {}, [pattern]),
+    newElement('td', {}, [groupName]),
+    newElement('td', {}, [remove]),
+  ]);
+}
+
+function renderRules() {
+  const list = document.getElementById('groupRulesList');
+  list.innerHTML = '';
+  rules.forEach((rule, index) => {
+    list.appendChild(
+      makeRuleRow(rule, () => {
+        rules.splice(index, 1);
+        renderRules();
+        saveRules();
+      }),
+    );
+  });
+  showRuleProblems();
+}
+
+/**
+ * Offer the names of the current window's groups as targets
+ */
+async function fillGroupNames() {
+  const currentWindow = await browser.windows.getCurrent();
+  const groups =
+    (await browser.sessions.getWindowValue(currentWindow.id, 'groups')) || [];
+  const groupNames = document.getElementById('groupRulesGroupNames');
+
+  groups
+    .filter((group) => isValidUserGroupId(group.id))
+    .forEach((group) => {
+      groupNames.appendChild(newElement('option', { value: group.name }));
+    });
+}
+
+/**
+ * Initialize the group rules editor
+ */
+export default async function initGroupRulesOption() {
+  const options = await loadOptions();
+  rules = options.groupRules;
+
+  await fillGroupNames();
+  renderRules();
+
+  document.getElementById('addGroupRule').addEventListener('click', () => {
+    rules.push({
+      enabled: true,
+      type: 'host',
+      pattern: '',
+      groupName: '',
+    });
+    renderRules();
+    document
+      .querySelector('#groupRulesList tr:last-child input[type="text"]')
+      .focus();
+  });
+
+  const switchToRuledGroup = document.getElementById('switchToRuledGroup');
+  switchToRuledGroup.checked = options.switchToRuledGroup;
+  switchToRuledGroup.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      switchToRuledGroup: switchToRuledGroup.checked,
+    });
+  });
+
+  const onNavigation = document.getElementById('groupRulesOnNavigation');
+  onNavigation.checked = options.groupRulesOnNavigation;
+  onNavigation.addEventListener('change', async () => {
+    await browser.storage.sync.set({
+      groupRulesOnNavigation: onNavigation.checked,
+    });
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * Group Sync Option Handler
+ * Shares groups with other devices and shows when they were last shared
+ */
+
+import { loadOptions } from '../_share/options.js';
+import { getGroupSyncState } from '../background/group-sync.js';
+
+async function showGroupSyncStatus() {
+  const status = document.getElementById('groupSyncStatus');
+  const { lastSync, lastError } = await getGroupSyncState();
+
+  const messages = [
+    lastSync
+      ? browser.i18n.getMessage('optionsGroupSyncLast', [
+          new Date(lastSync).toLocaleString(),
+        ])
+      : browser.i18n.getMessage('optionsGroupSyncNever'),
+  ];
+  if (lastError) {
+    messages.push(
+      browser.i18n.getMessage('optionsGroupSyncFailed', [lastError]),
+    );
+  }
+  status.textContent = messages.join(' ');
+  status.classList.toggle('error-text', !!lastError);
+}
+
+/**
+ * Initialize the group sync options
+ */
+export default async function initGroupSyncOption() {
+  const options = await loadOptions();
+  const enabled = document.getElementById('groupSync');
+  const deviceName = document.getElementById('groupSyncDeviceName');
+
+  enabled.checked = options.groupSync;
+  deviceName.value = options.groupSyncDeviceName;
+  const { os } = await browser.runtime.getPlatformInfo();
+  deviceName.placeholder = browser.i18n.getMessage('groupSyncDefaultDevice', [
+    os,
+  ]);
+  await showGroupSyncStatus();
+
+  // Publish right away (storage.onChanged unreliable in MV3)
+  const publish = () =>
+    browser.runtime.sendMessage({ action: 'publishGroups' });
+
+  enabled.addEventListener('change', async () => {
+    await browser.storage.sync.set({ groupSync: enabled.checked });
+    await publish();
+  });
+
+  deviceName.addEventListener('change', async () => {
+    deviceName.value = deviceName.value.trim();
+    await browser.storage.sync.set({ groupSyncDeviceName: deviceName.value });
+    await publish();
+  });
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.groupSync) {
+      showGroupSyncStatus();
+    }
+  });
+}
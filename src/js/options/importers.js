@@ -0,0 +1,394 @@
+/**
+ * Importers - Turn files of other tab managers into backups
+ *
+ * Every importer returns a backup in the current format, so imports are
+ * previewed, opened and merged like backups. The converters of other
+ * add-ons' exports also report what they couldn't convert.
+ */
+
+import { GROUP_COLORS } from '../background/utils.js';
+import {
+  BACKUP_TYPE,
+  BACKUP_VERSION,
+  parseBackup,
+  validateBackup,
+} from '../_share/backup-format.js';
+
+/**
+ * Lay out groups in a grid that fills the view
+ * @param {number} index - Position of the group
+ * @param {number} count - Number of groups
+ * @returns {{x: number, y: number, w: number, h: number}} Rect of the group
+ */
+function getGridRect(index, count) {
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  return {
+    x: (index % columns) / columns,
+    y: Math.floor(index / columns) / rows,
+    w: 1 / columns,
+    h: 1 / rows,
+  };
+}
+
+/**
+ * Make a backup from lists of tabs
+ * @param {Array<Array<{name: string, properties: object, tabs: Array<object>}>>}
+ *   windows - Groups of each window, with their tabs and group properties
+ *   like color
+ * @returns {object} Backup in the current format
+ */
+export function makeBackupFromBlocks(windows) {
+  return {
+    file: { type: BACKUP_TYPE, version: BACKUP_VERSION, created: Date.now() },
+    windows: windows.map((blocks) => {
+      const groups = blocks.map((block, index) => ({
+        ...block.properties,
+        id: index,
+        name: block.name,
+        rect: getGridRect(index, blocks.length),
+      }));
+      const tabs = blocks
+        .flatMap((block, groupId) =>
+          block.tabs.map((tab) => ({ pinned: false, ...tab, groupId })),
+        )
+        .map((tab, index) => ({ ...tab, index }));
+
+      return { groups, tabs, activeGroup: 0, groupIndex: groups.length };
+    }),
+  };
+}
+
+/**
+ * Read a OneTab export or a list of web addresses
+ * Each line holds an address, in OneTab exports followed by " | " and the
+ * title. Blank lines separate the groups.
+ * @param {string} text - The list
+ * @returns {{data: object|null, problems: Array<string>}} The list as a
+ *   backup, or null and the lines that aren't web addresses
+ */
+export function parseTabList(text) {
+  const blocks = [];
+  const problems = [];
+  let block = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') {
+      block = null;
+      return;
+    }
+
+    const separator = line.indexOf(' | ');
+    const url = (separator === -1 ? line : line.slice(0, separator)).trim();
+    const title = separator === -1 ? url : line.slice(separator + 3).trim();
+    if (!URL.canParse(url)) {
+      problems.push(
+        browser.i18n.getMessage('optionsImportNotAddress', [index + 1, url]),
+      );
+      return;
+    }
+
+    if (!block) {
+      block = {
+        name: `${browser.i18n.getMessage('defaultGroupName')}${blocks.length + 1}`,
+        tabs: [],
+      };
+      blocks.push(block);
+    }
+    block.tabs.push({ url, title });
+  });
+
+  if (problems.length === 0 && blocks.length === 0) {
+    problems.push(browser.i18n.getMessage('optionsImportNoAddresses'));
+  }
+  return problems.length
+    ? { data: null, problems }
+    : { data: makeBackupFromBlocks([blocks]), problems };
+}
+
+// Colors of native tab groups, to find the one nearest to a CSS color
+const GROUP_COLOR_VALUES = {
+  grey: [128, 128, 128],
+  blue: [0, 96, 223],
+  red: [215, 0, 34],
+  yellow: [255, 200, 0],
+  green: [42, 160, 60],
+  pink: [255, 75, 170],
+  purple: [146, 85, 230],
+  cyan: [0, 190, 210],
+  orange: [255, 128, 0],
+};
+
+/**
+ * Find the native group color nearest to a color of another add-on
+ * @param {string} color - Color name or hex color like #f80 or #ff8800
+ * @returns {string|undefined} Native group color, undefined if the color
+ *   can't be read
+ */
+function getNearestGroupColor(color) {
+  if (typeof color !== 'string') {
+    return undefined;
+  }
+  const value = color.trim().toLowerCase();
+  if (GROUP_COLORS.includes(value)) {
+    return value;
+  }
+  if (value === 'gray') {
+    return 'grey';
+  }
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/)?.[1];
+  if (!hex) {
+    return undefined;
+  }
+  const digits =
+    hex.length === 3
+      ? [...hex].map((digit) => digit + digit)
+      : hex.match(/../g);
+  const rgb = digits.map((digit) => parseInt(digit, 16));
+
+  const distance = (name) =>
+    GROUP_COLOR_VALUES[name].reduce(
+      (sum, channel, index) => sum + (channel - rgb[index]) ** 2,
+      0,
+    );
+  return GROUP_COLORS.reduce((nearest, name) =>
+    distance(name) < distance(nearest) ? name : nearest,
+  );
+}
+
+/**
+ * Read the tab of another add-on
+ * Only http(s), ftp, file and about:blank-like addresses can be opened by
+ * add-ons, others fail when they're restored and are listed then.
+ */
+function convertTab(tab, pinned = false) {
+  return {
+    url: tab.url,
+    title: tab.title || tab.url,
+    favIconUrl: tab.favIconUrl,
+    pinned: !!(pinned || tab.pinned),
+    cookieStoreId: tab.cookieStoreId,
+  };
+}
+
+/**
+ * Simple Tab Groups backups have a list of groups with their tabs, and the
+ * pinned tabs apart:
+ * {
+ *   version: string,
+ *   groups: [{
+ *     id, title, iconColor, iconUrl, newTabContainer, catchTabRules,
+ *     isArchive, dontDiscardTabsAfterHideThisGroup,
+ *     tabs: [{ url, title, favIconUrl, cookieStoreId }],
+ *   }],
+ *   pinnedTabs: [{ url, title, cookieStoreId }],
+ *   containers: { [cookieStoreId]: { name, color, icon } },
+ * }
+ */
+function isSimpleTabGroupsBackup(data) {
+  return (
+    Array.isArray(data.groups) &&
+    data.groups.every((group) => Array.isArray(group.tabs)) &&
+    (Array.isArray(data.pinnedTabs) ||
+      data.groups.some((group) => 'iconColor' in group))
+  );
+}
+
+function convertSimpleTabGroups(data) {
+  const report = [];
+
+  const blocks = data.groups.map((group, index) => {
+    const name =
+      group.title ||
+      `${browser.i18n.getMessage('defaultGroupName')}${index + 1}`;
+    const properties = {};
+
+    const color = getNearestGroupColor(group.iconColor);
+    if (color) {
+      properties.color = color;
+    } else if (group.iconColor) {
+      report.push(
+        browser.i18n.getMessage('optionsImportUnknownColor', [
+          name,
+          group.iconColor,
+        ]),
+      );
+    }
+    if (group.newTabContainer && group.newTabContainer !== 'firefox-default') {
+      properties.containerId = group.newTabContainer;
+    }
+    if (group.dontDiscardTabsAfterHideThisGroup) {
+      properties.discardExempt = true;
+    }
+    if (group.iconUrl) {
+      report.push(browser.i18n.getMessage('optionsImportIconNotKept', [name]));
+    }
+    if (group.catchTabRules) {
+      report.push(
+        browser.i18n.getMessage('optionsImportRulesNotKept', [
+          name,
+          group.catchTabRules,
+        ]),
+      );
+    }
+    if (group.isArchive) {
+      report.push(browser.i18n.getMessage('optionsImportArchived', [name]));
+    }
+
+    return { name, properties, tabs: group.tabs.map((tab) => convertTab(tab)) };
+  });
+
+  if (blocks.length === 0) {
+    blocks.push({
+      name: `${browser.i18n.getMessage('defaultGroupName')}1`,
+      properties: {},
+      tabs: [],
+    });
+  }
+  // Pinned tabs are shown with every group, they're kept in the first one
+  blocks[0].tabs.unshift(
+    ...(data.pinnedTabs || []).map((tab) => convertTab(tab, true)),
+  );
+
+  const containerNames = Object.values(data.containers || {})
+    .map((container) => container.name)
+    .filter(Boolean);
+  if (containerNames.length) {
+    report.push(
+      browser.i18n.getMessage('optionsImportContainers', [
+        containerNames.join(', '),
+      ]),
+    );
+  }
+
+  return { data: makeBackupFromBlocks([blocks]), report };
+}
+
+/**
+ * Tab Groups Helper exports the native tab groups of all windows:
+ * {
+ *   groups: [{
+ *     title, color, collapsed, windowId,
+ *     tabs: [{ url, title, favIconUrl, pinned, cookieStoreId }],
+ *   }],
+ * }
+ */
+function isTabGroupsHelperExport(data) {
+  return (
+    Array.isArray(data.groups) &&
+    data.groups.every((group) => Array.isArray(group.tabs)) &&
+    data.groups.some((group) => 'collapsed' in group || 'color' in group)
+  );
+}
+
+function convertTabGroupsHelper(data) {
+  const report = [];
+  const windows = new Map();
+
+  data.groups.forEach((group, index) => {
+    const name =
+      group.title ||
+      `${browser.i18n.getMessage('defaultGroupName')}${index + 1}`;
+    const properties = {};
+
+    const color = getNearestGroupColor(group.color);
+    if (color) {
+      properties.color = color;
+    } else if (group.color) {
+      report.push(
+        browser.i18n.getMessage('optionsImportUnknownColor', [
+          name,
+          group.color,
+        ]),
+      );
+    }
+    if (group.collapsed) {
+      report.push(browser.i18n.getMessage('optionsImportCollapsed', [name]));
+    }
+
+    const windowKey = group.windowId ?? 0;
+    if (!windows.has(windowKey)) {
+      windows.set(windowKey, []);
+    }
+    windows.get(windowKey).push({
+      name,
+      properties,
+      tabs: group.tabs.map((tab) => convertTab(tab)),
+    });
+  });
+
+  return { data: makeBackupFromBlocks([...windows.values()]), report };
+}
+
+// Exports of other add-ons, tried in this order
+const CONVERTERS = [
+  {
+    name: 'Simple Tab Groups',
+    detect: isSimpleTabGroupsBackup,
+    convert: convertSimpleTabGroups,
+  },
+  {
+    name: 'Tab Groups Helper',
+    detect: isTabGroupsHelperExport,
+    convert: convertTabGroupsHelper,
+  },
+];
+
+/**
+ * Convert the JSON export of another add-on
+ * @param {object} json - Parsed export
+ * @returns {{data: object|null, problems: Array<string>, report:
+ *   Array<string>}|null} The export as a backup and what couldn't be
+ *   converted, null if no converter knows the export
+ */
+function convertExport(json) {
+  const converter = CONVERTERS.find(({ detect }) => detect(json));
+  if (!converter) {
+    return null;
+  }
+
+  try {
+    const { data, report } = converter.convert(json);
+    const problems = validateBackup(data);
+    return { data: problems.length ? null : data, problems, report };
+  } catch (error) {
+    return {
+      data: null,
+      problems: [
+        browser.i18n.getMessage('optionsImportFailed', [
+          converter.name,
+          error.message,
+        ]),
+      ],
+      report: [],
+    };
+  }
+}
+
+/**
+ * Read a backup or the export of another tab manager
+ * @param {string} text - Content of the file or pasted text
+ * @returns {{data: object|null, problems: Array<string>, report:
+ *   Array<string>}} The import as a backup of the current version, or null
+ *   and why it can't be read. The report lists what another add-on's export
+ *   had that couldn't be converted.
+ */
+export function parseImport(text) {
+  if (!/^\s*[[{]/.test(text)) {
+    return { ...parseTabList(text), report: [] };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    json = null;
+  }
+  return (
+    (json && typeof json === 'object' && convertExport(json)) || {
+      ...parseBackup(text),
+      report: [],
+    }
+  );
+}
@@ -7,25 +7,46 @@ import {
   disableShortcut,
   disableShortcutForm,
   enableShortcut,
+  renderGroupShortcutForms,
 } from './shortcuts.js';
 import { saveOptionView, showViewSpecificOptions } from './view.js';
 import saveOptionTheme from './theme.js';
 import saveOptionToolbarPosition from './toolbar.js';
-import { loadBackup, saveBackup } from './backup.js';
+import saveOptionFollowMovedTabs from './move-tabs.js';
+import saveOptionGroupCycleOrder from './cycle-order.js';
+import saveOptionNewTabPlacement from './new-tab-placement.js';
+import {
+  exportLinks,
+  initBackupImport,
+  loadBackup,
+  saveBackup,
+} from './backup.js';
 import getStatistics from './statistics.js';
 import resetPTG from './reset.js';
 import initNativeGroupsOption from './native-groups.js';
+import initGroupRulesOption from './group-rules.js';
+import initAutoDiscardOption from './auto-discard.js';
+import initArchiveOption from './archive.js';
+import initWorkspacesOption from './workspaces.js';
+import initAutoBackupOption from './auto-backup.js';
+import initBookmarkMirrorOption from './bookmark-mirror.js';
+import initGroupSyncOption from './group-sync.js';
+import initSnapshotsOption from './snapshots.js';
 
 function restoreOptions(options, loadedShortcuts) {
   // Shortcuts
   loadedShortcuts.forEach((shortcut) => {
-    if (Object.prototype.hasOwnProperty.call(shortcut, 'name')) {
+    if (!options.shortcut[shortcut.name]) {
       return;
     }
     if (options.shortcut[shortcut.name].disabled) {
       disableShortcutForm(shortcut.name);
     }
   });
+  document.querySelector(
+    `input[name="groupCycleOrder"][value="${options.groupCycleOrder}"]`,
+  ).checked = true;
+  document.getElementById('followMovedTabs').checked = options.followMovedTabs;
 
   // View
   document.querySelector(
@@ -53,6 +74,11 @@ function restoreOptions(options, loadedShortcuts) {
   document.querySelector(
     `input[name="toolbarPosition"][value="${options.toolbarPosition}"]`,
   ).checked = true;
+
+  // New tabs
+  document.querySelector(
+    `input[name="newTabPlacement"][value="${options.newTabPlacement}"]`,
+  ).checked = true;
 }
 
 function attachEventHandler(options, loadedShortcuts) {
@@ -100,6 +126,13 @@ function attachEventHandler(options, loadedShortcuts) {
     }
   });
 
+  document
+    .querySelector('form[name="formGroupCycleOrder"]')
+    .addEventListener('change', saveOptionGroupCycleOrder);
+  document
+    .querySelector('form[name="formFollowMovedTabs"]')
+    .addEventListener('change', saveOptionFollowMovedTabs);
+
   // View
   document
     .querySelector('form[name="formView"]')
@@ -115,6 +148,11 @@ function attachEventHandler(options, loadedShortcuts) {
     .querySelector('form[name="formToolbarPosition"]')
     .addEventListener('change', saveOptionToolbarPosition);
 
+  // New tabs
+  document
+    .querySelector('form[name="formNewTabPlacement"]')
+    .addEventListener('change', saveOptionNewTabPlacement);
+
   // Backup
   document
     .getElementById('backupFileInput')
@@ -122,16 +160,29 @@ function attachEventHandler(options, loadedShortcuts) {
   document
     .getElementById('saveBackupButton')
     .addEventListener('click', saveBackup);
+  document
+    .getElementById('exportLinksButton')
+    .addEventListener('click', exportLinks);
   document.getElementById('resetAddon').addEventListener('click', resetPTG);
 }
 
 async function init() {
   const options = await loadOptions();
+  await renderGroupShortcutForms(options);
   restoreOptions(options, await shortcuts);
   addTranslations();
   attachEventHandler(options, await shortcuts);
   getStatistics();
   await initNativeGroupsOption();
+  await initGroupRulesOption();
+  await initAutoDiscardOption();
+  await initBookmarkMirrorOption();
+  await initGroupSyncOption();
+  await initArchiveOption();
+  await initWorkspacesOption();
+  await initBackupImport();
+  await initAutoBackupOption();
+  await initSnapshotsOption();
 }
 
 document.addEventListener('DOMContentLoaded', init);
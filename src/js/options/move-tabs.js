@@ -0,0 +1,5 @@
+export default async function saveOptionFollowMovedTabs() {
+  await browser.storage.sync.set({
+    followMovedTabs: document.getElementById('followMovedTabs').checked,
+  });
+}
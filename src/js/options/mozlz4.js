@@ -0,0 +1,124 @@
+/**
+ * mozLz4 - Read the LZ4 compressed files Firefox keeps its session in
+ *
+ * recovery.jsonlz4, previous.jsonlz4 and sessionstore.jsonlz4 start with the
+ * magic bytes "mozLz40\0" and the size of the decompressed content as a
+ * little-endian 32 bit number, followed by a single LZ4 block.
+ */
+
+const MAGIC = 'mozLz40\0';
+const HEADER_SIZE = MAGIC.length + 4;
+// Most bytes a byte of an LZ4 block can decompress to
+const MAX_RATIO = 255;
+
+/**
+ * @param {Uint8Array} bytes - Content of a file
+ * @returns {boolean} True if the file is mozLz4 compressed
+ */
+export function isMozLz4(bytes) {
+  return (
+    bytes.length >= HEADER_SIZE &&
+    [...MAGIC].every((char, index) => bytes[index] === char.charCodeAt(0))
+  );
+}
+
+/**
+ * Read a length that's continued by bytes of 255, as used by LZ4
+ * @returns {{length: number, position: number}} The length and the position
+ *   after it
+ */
+function readLength(input, length, position) {
+  let total = length;
+  let next = position;
+  if (length === 15) {
+    let byte;
+    do {
+      if (next >= input.length) {
+        throw new Error('The LZ4 block ends in the middle of a length');
+      }
+      byte = input[next];
+      next += 1;
+      total += byte;
+    } while (byte === 255);
+  }
+  return { length: total, position: next };
+}
+
+/**
+ * Decompress an LZ4 block
+ * @param {Uint8Array} input - The block
+ * @param {number} size - Size of the decompressed content
+ * @returns {Uint8Array} The decompressed content
+ */
+function decodeLz4Block(input, size) {
+  // LZ4 can't compress by more than this, a larger size is a broken header
+  if (size > input.length * MAX_RATIO) {
+    throw new Error('The LZ4 block is shorter than its header says');
+  }
+  const output = new Uint8Array(size);
+  let position = 0;
+  let written = 0;
+
+  while (position < input.length) {
+    const token = input[position];
+    const literals = readLength(input, Math.floor(token / 16), position + 1);
+    if (
+      literals.position + literals.length > input.length ||
+      written + literals.length > size
+    ) {
+      throw new Error('The LZ4 block is corrupt');
+    }
+    output.set(
+      input.subarray(literals.position, literals.position + literals.length),
+      written,
+    );
+    written += literals.length;
+    position = literals.position + literals.length;
+
+    // The last sequence only has literals
+    if (position >= input.length) {
+      break;
+    }
+
+    if (position + 2 > input.length) {
+      throw new Error('The LZ4 block ends in the middle of a match');
+    }
+    const offset = input[position] + input[position + 1] * 256;
+    const match = readLength(input, token % 16, position + 2);
+    const matchLength = match.length + 4;
+    if (offset === 0 || offset > written || written + matchLength > size) {
+      throw new Error('The LZ4 block is corrupt');
+    }
+    // Matches may overlap what they write, so copy byte by byte
+    for (let i = 0; i < matchLength; i += 1) {
+      output[written + i] = output[written - offset + i];
+    }
+    written += matchLength;
+    position = match.position;
+  }
+
+  if (written !== size) {
+    throw new Error('The LZ4 block is shorter than its header says');
+  }
+  return output;
+}
+
+/**
+ * Decompress a mozLz4 file
+ * @param {Uint8Array} bytes - Content of the file
+ * @returns {string} The decompressed text, usually JSON
+ */
+export function decodeMozLz4(bytes) {
+  if (!isMozLz4(bytes)) {
+    throw new Error('Not a mozLz4 file');
+  }
+  const size = new DataView(
+    bytes.buffer,
+    bytes.byteOffset,
+    bytes.byteLength,
+  ).getUint32(MAGIC.length, true);
+
+  return new TextDecoder().decode(
+    decodeLz4Block(bytes.subarray(HEADER_SIZE), size),
+  );
+}
@@ -0,0 +1,7 @@
+export default async function saveOptionNewTabPlacement() {
+  await browser.storage.sync.set({
+    newTabPlacement: document.querySelector(
+      'input[name="newTabPlacement"]:checked',
+    ).value,
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Restore Progress - Show how far a restore is and let the user cancel it
+ */
+
+import { newElement } from '../_share/utils.js';
+import { createRestoreProgress } from '../_share/restore-queue.js';
+
+// Cancels the restore shown on the page
+let cancelRestore = null;
+
+function renderRestoreProgress(progress) {
+  const { windows, groups, tabs, failures } = progress;
+
+  const bar = document.getElementById('restoreProgressBar');
+  bar.max = Math.max(tabs.total, 1);
+  bar.value = tabs.done;
+
+  const counts = browser.i18n.getMessage('optionsRestoreProgressCounts', [
+    windows.done,
+    windows.total,
+    groups.done,
+    groups.total,
+    tabs.done,
+    tabs.total,
+  ]);
+  let state = '';
+  if (progress.finished) {
+    state = browser.i18n.getMessage(
+      progress.cancelled
+        ? 'optionsRestoreProgressCancelled'
+        : 'optionsRestoreProgressFinished',
+    );
+  }
+  document.getElementById('restoreProgressText').textContent =
+    `${state} ${counts}`.trim();
+
+  const failureList = document.getElementById('restoreFailures');
+  failureList.innerHTML = '';
+  failures.forEach((failure) => {
+    failureList.appendChild(
+      newElement('li', {
+        content: browser.i18n.getMessage('optionsRestoreProgressFailure', [
+          failure.title || failure.url,
+          failure.url,
+          failure.error,
+        ]),
+      }),
+    );
+  });
+  document.getElementById('restoreFailuresTitle').hidden =
+    failures.length === 0;
+
+  const cancel = document.getElementById('restoreCancel');
+  cancel.hidden = progress.finished;
+  cancel.disabled = progress.cancelled;
+}
+
+/**
+ * Show the progress of a restore that's about to start
+ * @param {Function} [onCancel] - Called when the user cancels the restore
+ * @returns {object} Progress to pass to the restore, see restore-queue.js
+ */
+export default function showRestoreProgress(onCancel = () => {}) {
+  const progress = createRestoreProgress(renderRestoreProgress);
+
+  const cancel = document.getElementById('restoreCancel');
+  // Only the latest restore can be cancelled
+  if (cancelRestore) {
+    cancel.removeEventListener('click', cancelRestore);
+  }
+  cancelRestore = () => {
+    progress.cancelled = true;
+    progress.update();
+    onCancel();
+  };
+  cancel.addEventListener('click', cancelRestore);
+
+  document.getElementById('restoreProgress').hidden = false;
+  progress.update();
+  return progress;
+}
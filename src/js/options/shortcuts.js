@@ -1,3 +1,10 @@
+import { newElement } from '../_share/utils.js';
+import {
+  ACTIVATE_GROUP_COMMANDS,
+  ACTIVATE_GROUP_COMMAND_PREFIX,
+  isValidUserGroupId,
+} from '../background/constants.js';
+
 export const shortcuts = browser.commands.getAll();
 
 export async function updateShortcut(event) {
@@ -48,6 +55,7 @@ export async function disableShortcut(options, event) {
 
   options.shortcut = Object.assign(options.shortcut, {
     [shortcut]: {
+      ...options.shortcut[shortcut],
       disabled: true,
     },
   });
@@ -79,6 +87,7 @@ export async function enableShortcut(options, event) {
 
   options.shortcut = Object.assign(options.shortcut, {
     [shortcut]: {
+      ...options.shortcut[shortcut],
       disabled: false,
     },
   });
@@ -86,3 +95,85 @@ export async function enableShortcut(options, event) {
 
   enableShortcutForm(shortcut);
 }
+
+async function saveShortcutGroup(options, event) {
+  const select = event.target;
+  const shortcut = select.parentElement.getAttribute('id');
+
+  options.shortcut = Object.assign(options.shortcut, {
+    [shortcut]: {
+      ...options.shortcut[shortcut],
+      groupId: select.value === '' ? null : parseInt(select.value, 10),
+    },
+  });
+  await browser.storage.sync.set({ shortcut: options.shortcut });
+}
+
+function makeShortcutGroupSelect(groups, boundGroupId) {
+  const select = newElement('select', { class: 'shortcutGroup' }, [
+    newElement('option', {
+      value: '',
+      content: browser.i18n.getMessage(
+        'optionKeyboardShortcutsGroupByPosition',
+      ),
+    }),
+    ...groups.map((group) =>
+      newElement('option', { value: group.id, content: group.name }),
+    ),
+  ]);
+
+  if (boundGroupId !== null && boundGroupId !== undefined) {
+    // Groups live per window, so the bound one may not be listed here
+    if (!groups.some((group) => group.id === boundGroupId)) {
+      select.appendChild(
+        newElement('option', {
+          value: boundGroupId,
+          content: `${browser.i18n.getMessage('defaultGroupName')}${boundGroupId}`,
+        }),
+      );
+    }
+    select.value = String(boundGroupId);
+  }
+
+  return select;
+}
+
+/**
+ * Render the forms for the activate-group-N commands
+ * Each slot gets the usual shortcut buttons plus a select to bind it to one
+ * of the groups of the current window.
+ */
+export async function renderGroupShortcutForms(options) {
+  const container = document.getElementById('groupShortcuts');
+  const currentWindow = await browser.windows.getCurrent();
+  const groups = (
+    (await browser.sessions.getWindowValue(currentWindow.id, 'groups')) || []
+  ).filter((group) => isValidUserGroupId(group.id));
+
+  ACTIVATE_GROUP_COMMANDS.forEach((shortcut) => {
+    const slot = shortcut.slice(ACTIVATE_GROUP_COMMAND_PREFIX.length);
+    const label =
+      slot === 'last'
+        ? browser.i18n.getMessage('optionKeyboardShortcutsLastGroup')
+        : browser.i18n.getMessage('optionKeyboardShortcutsGroupSlot', [slot]);
+    const select = makeShortcutGroupSelect(
+      groups,
+      options.shortcut[shortcut].groupId,
+    );
+    select.addEventListener('change', saveShortcutGroup.bind(this, options));
+
+    const form = newElement('form', { id: shortcut, class: 'browser-style' }, [
+      newElement('label', { for: shortcut, content: label }),
+      newElement('input', { type: 'text' }),
+      select,
+      newElement('button', { class: 'updateShortcut' }),
+      newElement('button', { class: 'resetShortcut' }),
+      newElement('button', { class: 'disableShortcut' }),
+      newElement('button', { class: 'enableShortcut', hidden: true }),
+    ]);
+
+    container.appendChild(
+      newElement('div', { class: 'keyboardShortcuts' }, [form]),
+    );
+  });
+}
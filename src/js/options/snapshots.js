@@ -0,0 +1,95 @@
+/**
+ * Snapshots Option Handler
+ * Lists the snapshot history to restore the groups of an earlier moment
+ */
+
+import { newElement } from '../_share/utils.js';
+import { isValidUserGroupId } from '../background/constants.js';
+import { getSnapshots } from '../background/snapshots.js';
+
+async function restoreSnapshot(snapshotId, mode) {
+  const response = await browser.runtime.sendMessage({
+    action: 'restoreSnapshot',
+    snapshotId,
+    mode,
+  });
+  if (!response.success) {
+    console.error('Restoring snapshot failed:', response.error);
+  }
+}
+
+function makeSnapshotRow(snapshot) {
+  const groupCount = snapshot.windows.reduce(
+    (count, snapshotWindow) =>
+      count +
+      snapshotWindow.groups.filter((group) => isValidUserGroupId(group.id))
+        .length,
+    0,
+  );
+  const tabCount = snapshot.windows.reduce(
+    (count, snapshotWindow) => count + snapshotWindow.tabs.length,
+    0,
+  );
+
+  const openWindows = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('optionsSnapshotsOpenWindows'),
+  });
+  openWindows.addEventListener('click', () => {
+    restoreSnapshot(snapshot.id, 'windows');
+  });
+
+  const reassign = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('optionsSnapshotsReassign'),
+  });
+  reassign.addEventListener('click', () => {
+    restoreSnapshot(snapshot.id, 'reassign');
+  });
+
+  return newElement('tr', {}, [
+    newElement('td', {}, [
+      newElement('strong', {
+        content: new Date(snapshot.takenAt).toLocaleString(),
+      }),
+    ]),
+    newElement('td', {
+      content:
+        browser.i18n.getMessage(`optionsSnapshotsReason_${snapshot.reason}`) ||
+        snapshot.reason,
+    }),
+    newElement('td', {
+      content: browser.i18n.getMessage('optionsSnapshotsSummary', [
+        snapshot.windows.length,
+        groupCount,
+        tabCount,
+      ]),
+    }),
+    newElement('td', {}, [openWindows]),
+    newElement('td', {}, [reassign]),
+  ]);
+}
+
+async function renderSnapshots() {
+  const snapshots = await getSnapshots();
+  const list = document.getElementById('snapshotsList');
+
+  list.innerHTML = '';
+  snapshots.forEach((snapshot) => {
+    list.appendChild(makeSnapshotRow(snapshot));
+  });
+  document.getElementById('snapshotsEmpty').hidden = snapshots.length > 0;
+}
+
+/**
+ * Initialize the snapshot history
+ */
+export default async function initSnapshotsOption() {
+  await renderSnapshots();
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.snapshots) {
+      renderSnapshots();
+    }
+  });
+}
@@ -29,6 +29,16 @@ export default async function getStatistics() {
     .getElementById('thumbnailCacheSize')
     .appendChild(document.createTextNode(formatByteSize(totalSize)));
 
+  const { discardStats } = await browser.storage.local.get('discardStats');
+  let discardedTabs = `${discardStats?.tabs || 0}`;
+  if (discardStats?.lastDiscard) {
+    discardedTabs += ` (${browser.i18n.getMessage(
+      'optionsStatisticsDiscardedTabsLast',
+      [new Date(discardStats.lastDiscard).toLocaleString()],
+    )})`;
+  }
+  document.getElementById('discardedTabs').textContent = discardedTabs;
+
   document.getElementById('numberOfTabs').innerHTML = '';
   document
     .getElementById('numberOfTabs')
@@ -1,3 +1,5 @@
+import { AUTO_BACKUP_FOLDER } from '../background/auto-backup.js';
+
 export default function addTranslations() {
   document.querySelector('#optionKeyboardShortcuts h2').textContent =
     browser.i18n.getMessage('optionKeyboardShortcuts');
@@ -53,6 +55,25 @@ export default function addTranslations() {
     browser.i18n.getMessage('optionKeyboardShortcutsNextGroup');
   document.querySelector('label[for="activate-previous-group"]').textContent =
     browser.i18n.getMessage('optionKeyboardShortcutsPreviousGroup');
+  document.querySelector('label[for="activate-recent-group"]').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsRecentGroup');
+  document.querySelector('form[name="formGroupCycleOrder"] h4').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsCycleOrder');
+  document.querySelector('#groupCycleOrderArray + span').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsCycleOrderArray');
+  document.querySelector('#groupCycleOrderRecent + span').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsCycleOrderRecent');
+  document.querySelector('label[for="move-tab-to-next-group"]').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsMoveTabToNextGroup');
+  document.querySelector(
+    'label[for="move-tab-to-previous-group"]',
+  ).textContent = browser.i18n.getMessage(
+    'optionKeyboardShortcutsMoveTabToPreviousGroup',
+  );
+  document.querySelector('form[name="formFollowMovedTabs"] span').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsFollowMovedTabs');
+  document.querySelector('#groupShortcutsText em').textContent =
+    browser.i18n.getMessage('optionKeyboardShortcutsGroupSlotsText');
   document.querySelector('#optionsView h2').textContent =
     browser.i18n.getMessage('optionsView');
   document.querySelector('label[for="viewFreeform"] span').textContent =
@@ -78,22 +99,192 @@ export default function addTranslations() {
   ).textContent = browser.i18n.getMessage('optionsToolbarPositionBottom');
   document.querySelector('label[for="toolbarPositionLeft"] span').textContent =
     browser.i18n.getMessage('optionsToolbarPositionLeft');
+  document.querySelector('#optionsNewTabPlacement h2').textContent =
+    browser.i18n.getMessage('optionsNewTabPlacement');
+  document.querySelector('#optionsNewTabPlacement p').textContent =
+    browser.i18n.getMessage('optionsNewTabPlacementText');
+  document.querySelector('#newTabPlacementOpener + span').textContent =
+    browser.i18n.getMessage('optionsNewTabPlacementOpener');
+  document.querySelector('#newTabPlacementActive + span').textContent =
+    browser.i18n.getMessage('optionsNewTabPlacementActive');
+  document.querySelector('#newTabPlacementAsk + span').textContent =
+    browser.i18n.getMessage('optionsNewTabPlacementAsk');
+  document.querySelector('#optionsGroupRules h2').textContent =
+    browser.i18n.getMessage('optionsGroupRules');
+  document.querySelector('#optionsGroupRules p').textContent =
+    browser.i18n.getMessage('optionsGroupRulesText');
+  document.querySelector('#addGroupRule').textContent = browser.i18n.getMessage(
+    'optionsGroupRulesAdd',
+  );
+  document.querySelector('#switchToRuledGroup + span').textContent =
+    browser.i18n.getMessage('optionsGroupRulesSwitch');
+  document.querySelector('#groupRulesOnNavigation + span').textContent =
+    browser.i18n.getMessage('optionsGroupRulesOnNavigation');
+  document.querySelector('#optionsBookmarkMirror h2').textContent =
+    browser.i18n.getMessage('optionsBookmarkMirror');
+  document.querySelector('#optionsBookmarkMirror p').textContent =
+    browser.i18n.getMessage('optionsBookmarkMirrorText');
+  document.querySelector('#bookmarkMirror + span').textContent =
+    browser.i18n.getMessage('optionsBookmarkMirrorEnabled');
+  document.querySelector(
+    '#bookmarkMirrorRoot',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBookmarkMirrorRoot',
+  );
+  document.querySelector(
+    '#bookmarkMirrorConflicts',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBookmarkMirrorConflicts',
+  );
+  document
+    .querySelectorAll('#bookmarkMirrorConflicts option')
+    .forEach((option) => {
+      option.textContent = browser.i18n.getMessage(
+        `optionsBookmarkMirrorConflicts_${option.value}`,
+      );
+    });
+  document.querySelector('#bookmarkMirrorCloseTabs + span').textContent =
+    browser.i18n.getMessage('optionsBookmarkMirrorCloseTabs');
+  document.querySelector('#switchToBookmarkGroup + span').textContent =
+    browser.i18n.getMessage('optionsSwitchToBookmarkGroup');
+  document.querySelector('#bookmarkMirrorSync').textContent =
+    browser.i18n.getMessage('optionsBookmarkMirrorSync');
+  document.querySelector('#optionsGroupSync h2').textContent =
+    browser.i18n.getMessage('optionsGroupSync');
+  document.querySelector('#optionsGroupSync p').textContent =
+    browser.i18n.getMessage('optionsGroupSyncText');
+  document.querySelector('#groupSync + span').textContent =
+    browser.i18n.getMessage('optionsGroupSyncEnabled');
+  document.querySelector(
+    '#groupSyncDeviceName',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsGroupSyncDeviceName',
+  );
+  document.querySelector('#optionsAutoDiscard h2').textContent =
+    browser.i18n.getMessage('optionsAutoDiscard');
+  document.querySelector('#optionsAutoDiscard p').textContent =
+    browser.i18n.getMessage('optionsAutoDiscardText');
+  document.querySelector('#autoDiscardEnabled + span').textContent =
+    browser.i18n.getMessage('optionsAutoDiscardEnabled');
+  document.querySelector('#autoDiscardMinutes + span').textContent =
+    browser.i18n.getMessage('optionsAutoDiscardMinutes');
+  document.querySelector('#autoDiscardExemptPinned + span').textContent =
+    browser.i18n.getMessage('optionsAutoDiscardExemptPinned');
+  document.querySelector('#autoDiscardExemptAudible + span').textContent =
+    browser.i18n.getMessage('optionsAutoDiscardExemptAudible');
+  document.querySelector('#optionsArchive h2').textContent =
+    browser.i18n.getMessage('optionsArchive');
+  document.querySelector('#optionsArchive p').textContent =
+    browser.i18n.getMessage('optionsArchiveText');
+  document.querySelector('#archiveEmpty').textContent = browser.i18n.getMessage(
+    'optionsArchiveEmpty',
+  );
+  document.querySelector('#optionsWorkspaces h2').textContent =
+    browser.i18n.getMessage('optionsWorkspaces');
+  document.querySelector('#optionsWorkspaces p').textContent =
+    browser.i18n.getMessage('optionsWorkspacesText');
+  document.querySelector('#workspaceName').placeholder =
+    browser.i18n.getMessage('optionsWorkspacesName');
+  document.querySelector('#saveWorkspace').textContent =
+    browser.i18n.getMessage('optionsWorkspacesSave');
+  document.querySelector('#workspacesEmpty').textContent =
+    browser.i18n.getMessage('optionsWorkspacesEmpty');
+  document.querySelector('#optionsSnapshots h2').textContent =
+    browser.i18n.getMessage('optionsSnapshots');
+  document.querySelector('#optionsSnapshots p').textContent =
+    browser.i18n.getMessage('optionsSnapshotsText');
+  document.querySelector('#snapshotsEmpty').textContent =
+    browser.i18n.getMessage('optionsSnapshotsEmpty');
   document.querySelector('#optionsBackup h2').textContent =
     browser.i18n.getMessage('optionsBackup');
   document.querySelector('#optionsBackup h3:nth-of-type(1)').textContent =
     browser.i18n.getMessage('optionsBackupImport');
   document.querySelector('#optionsBackup p:nth-of-type(1)').textContent =
     browser.i18n.getMessage('optionsBackupImportText');
+  document.querySelector(
+    '#backupImportTarget',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBackupImportTarget',
+  );
+  document.querySelector(
+    '#backupImportTarget option[value="new"]',
+  ).textContent = browser.i18n.getMessage('optionsBackupImportTargetNew');
+  document.querySelector('#backupMatchGroups + span').textContent =
+    browser.i18n.getMessage('optionsBackupMatchGroups');
+  document.querySelector('#backupPreviewCancel').textContent =
+    browser.i18n.getMessage('optionsBackupPreviewCancel');
+  document.querySelector('#restoreCancel').textContent =
+    browser.i18n.getMessage('optionsRestoreCancel');
+  document.querySelector('#restoreFailuresTitle').textContent =
+    browser.i18n.getMessage('optionsRestoreFailures');
+  document.querySelector(
+    '#importTextInput',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBackupImportTextList',
+  );
+  document.querySelector('#importTextButton').textContent =
+    browser.i18n.getMessage('optionsBackupImportTextButton');
   document.querySelector('#optionsBackup h3:nth-of-type(2)').textContent =
     browser.i18n.getMessage('optionsBackupExport');
   document.querySelector('#optionsBackup p:nth-of-type(2)').textContent =
     browser.i18n.getMessage('optionsBackupExportText');
+  document.querySelector('#optionsBackup h3:nth-of-type(3)').textContent =
+    browser.i18n.getMessage('optionsAutoBackup');
+  document.querySelector('#optionsBackup p:nth-of-type(3)').textContent =
+    browser.i18n.getMessage('optionsAutoBackupText', [AUTO_BACKUP_FOLDER]);
+  document.querySelector(
+    '#autoBackupInterval',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsAutoBackupInterval',
+  );
+  document.querySelectorAll('#autoBackupInterval option').forEach((option) => {
+    option.textContent = browser.i18n.getMessage(
+      `optionsAutoBackupInterval_${option.value}`,
+    );
+  });
+  document.querySelector('#autoBackupCount + span').textContent =
+    browser.i18n.getMessage('optionsAutoBackupCount');
   document.querySelector('#optionsStatistics h2').textContent =
     browser.i18n.getMessage('optionsStatistics');
   document.querySelector('label[for="numberOfTabs"]').textContent =
     browser.i18n.getMessage('optionsStatisticsNumberOfTabs');
   document.querySelector('label[for="thumbnailCacheSize"]').textContent =
     browser.i18n.getMessage('optionsStatisticsThumbnailCacheSize');
+  document.querySelector('label[for="discardedTabs"]').textContent =
+    browser.i18n.getMessage('optionsStatisticsDiscardedTabs');
+  document.querySelector(
+    '#backupPassphraseInput',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBackupPassphrase',
+  );
+  document.querySelector('#backupPassphraseError').textContent =
+    browser.i18n.getMessage('optionsBackupPassphraseWrong');
+  document.querySelector('#backupPassphraseConfirm').textContent =
+    browser.i18n.getMessage('optionsBackupPassphraseConfirm');
+  document.querySelector('#backupPassphraseCancel').textContent =
+    browser.i18n.getMessage('optionsBackupPreviewCancel');
+  document.querySelector(
+    '#backupEncryptPassphrase',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBackupEncryptPassphrase',
+  );
+  document.querySelector(
+    '#backupEncryptRepeat',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsBackupEncryptRepeat',
+  );
   document.querySelector('#saveBackupButton').textContent =
     browser.i18n.getMessage('optionsBackupExportButton');
+  document.querySelector(
+    '#linkExportFormat',
+  ).previousElementSibling.textContent = browser.i18n.getMessage(
+    'optionsLinkExportFormat',
+  );
+  document.querySelectorAll('#linkExportFormat option').forEach((option) => {
+    option.textContent = browser.i18n.getMessage(
+      `linkExportFormat_${option.value}`,
+    );
+  });
+  document.querySelector('#exportLinksButton').textContent =
+    browser.i18n.getMessage('exportGroupLinks');
 }
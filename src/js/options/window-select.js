@@ -0,0 +1,49 @@
+/**
+ * Window Select - Offer the open windows as targets in a select element
+ */
+
+import { newElement } from '../_share/utils.js';
+
+/**
+ * Fill a select with the open windows, named after their active group
+ * Options written in the page are kept in front of the windows. The chosen
+ * value stays selected when the list is refreshed.
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string} [defaultValue] - Value to select at first, the current
+ *   window if not given
+ */
+export default async function fillWindowSelect(select, defaultValue) {
+  const currentWindow = await browser.windows.getCurrent();
+  const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+
+  const windowOptions = await Promise.all(
+    windows.map(async (browserWindow, index) => {
+      const groups =
+        (await browser.sessions.getWindowValue(browserWindow.id, 'groups')) ||
+        [];
+      const activeGroup = await browser.sessions.getWindowValue(
+        browserWindow.id,
+        'activeGroup',
+      );
+      const group = groups.find((g) => g.id === activeGroup);
+
+      return newElement('option', {
+        value: browserWindow.id,
+        data_window: '',
+        content: browser.i18n.getMessage('optionsWindow', [
+          index + 1,
+          group ? group.name : browserWindow.title,
+        ]),
+      });
+    }),
+  );
+
+  const selected = select.value;
+  select.querySelectorAll('option[data-window]').forEach((option) => {
+    option.remove();
+  });
+  select.append(...windowOptions);
+  select.value = [...select.options].some((option) => option.value === selected)
+    ? selected
+    : (defaultValue ?? String(currentWindow.id));
+}
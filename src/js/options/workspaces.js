@@ -0,0 +1,130 @@
+/**
+ * Workspaces Option Handler
+ * Saves the window's groups as named workspaces and opens them again
+ */
+
+import { newElement } from '../_share/utils.js';
+import { isValidUserGroupId } from '../background/constants.js';
+
+async function getWorkspaces() {
+  const { workspaces = [] } = await browser.runtime.sendMessage({
+    action: 'getWorkspaces',
+  });
+  return workspaces;
+}
+
+async function openWorkspace(name, inThisWindow) {
+  const response = await browser.runtime.sendMessage({
+    action: 'openWorkspace',
+    name,
+    windowId: inThisWindow
+      ? (await browser.windows.getCurrent()).id
+      : undefined,
+    // Keep the options page open when its window is replaced
+    keepSender: inThisWindow,
+  });
+  if (!response.success) {
+    console.error(`Opening workspace "${name}" failed:`, response.error);
+  }
+}
+
+function makeWorkspaceRow(workspace, onChange) {
+  const groupCount = workspace.window.groups.filter((group) =>
+    isValidUserGroupId(group.id),
+  ).length;
+
+  const openNewWindow = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('optionsWorkspacesOpenNewWindow'),
+  });
+  openNewWindow.addEventListener('click', () => {
+    openWorkspace(workspace.name, false);
+  });
+
+  const openHere = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('optionsWorkspacesOpenHere'),
+  });
+  openHere.addEventListener('click', () => {
+    openWorkspace(workspace.name, true);
+  });
+
+  const remove = newElement('button', {
+    class: 'browser-style',
+    content: browser.i18n.getMessage('optionsWorkspacesDelete'),
+  });
+  remove.addEventListener('click', async () => {
+    await browser.runtime.sendMessage({
+      action: 'deleteWorkspace',
+      name: workspace.name,
+    });
+    onChange();
+  });
+
+  return newElement('tr', {}, [
+    newElement('td', {}, [newElement('strong', { content: workspace.name })]),
+    newElement('td', {
+      content: browser.i18n.getMessage('optionsWorkspacesSummary', [
+        groupCount,
+        workspace.window.tabs.length,
+        new Date(workspace.savedAt).toLocaleString(),
+      ]),
+    }),
+    newElement('td', {}, [openNewWindow]),
+    newElement('td', {}, [openHere]),
+    newElement('td', {}, [remove]),
+  ]);
+}
+
+async function renderWorkspaces() {
+  const workspaces = await getWorkspaces();
+  const list = document.getElementById('workspacesList');
+
+  list.innerHTML = '';
+  workspaces.forEach((workspace) => {
+    list.appendChild(makeWorkspaceRow(workspace, renderWorkspaces));
+  });
+  document.getElementById('workspacesEmpty').hidden = workspaces.length > 0;
+}
+
+/**
+ * Initialize the workspace list
+ */
+export default async function initWorkspacesOption() {
+  await renderWorkspaces();
+
+  const nameInput = document.getElementById('workspaceName');
+  document
+    .getElementById('saveWorkspace')
+    .addEventListener('click', async () => {
+      const name = nameInput.value.trim();
+      if (name === '') {
+        nameInput.focus();
+        return;
+      }
+
+      const workspaces = await getWorkspaces();
+      if (
+        workspaces.some((workspace) => workspace.name === name) &&
+        !window.confirm(
+          browser.i18n.getMessage('optionsWorkspacesReplaceWarning', [name]),
+        )
+      ) {
+        return;
+      }
+
+      await browser.runtime.sendMessage({
+        action: 'saveWorkspace',
+        name,
+        windowId: (await browser.windows.getCurrent()).id,
+      });
+      nameInput.value = '';
+    });
+
+  // Workspaces saved from elsewhere while the page is open
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.workspaces) {
+      renderWorkspaces();
+    }
+  });
+}
@@ -2,10 +2,23 @@ import { getGroupId, forEachTab } from './tabs.js';
 import { groupDragOver, groupDrop } from './drag.js';
 import * as groups from './groups.js';
 import { newElement, getPluralForm } from '../_share/utils.js';
-import { tabNodes, getTabNode } from './tabNodes.js';
+import { LINK_EXPORT_FORMATS } from '../_share/link-export.js';
+import { tabNodes, getTabNode, updateTabNode } from './tabNodes.js';
+import {
+  DEFAULT_COOKIE_STORE_ID,
+  getContainers,
+} from '../_share/containers.js';
+import {
+  normalizeUrl,
+  parseUrlList,
+  getNewTabProperties,
+} from '../_share/new-tabs.js';
 
 export const groupNodes = {};
 
+// Containers of the browser, loaded once with the group nodes
+let containers = [];
+
 // primitive mutex to make sure the functions that deal
 // with groups aren't stepping on each other's toes
 let modifyingGroupContent = false;
@@ -425,6 +438,30 @@ async function groupTransform(group, node, top, right, bottom, left, elem) {
   );
 }
 
+/**
+ * Show the container a group is linked to in its header
+ * @param {HTMLElement} node - Container element of the group header
+ * @param {string} containerId - containerId of the group
+ */
+function showContainer(node, containerId) {
+  const container = containers.find(
+    ({ cookieStoreId }) => cookieStoreId === containerId,
+  );
+  const select = node.querySelector('select');
+
+  if (container) {
+    select.value = container.cookieStoreId;
+    node.classList.add('linked');
+    node.style.setProperty('--container-color', container.colorCode);
+    node.style.setProperty('--container-icon', `url(${container.iconUrl})`);
+    node.title = container.name;
+  } else {
+    select.value = DEFAULT_COOKIE_STORE_ID;
+    node.classList.remove('linked');
+    node.title = browser.i18n.getMessage('groupContainer');
+  }
+}
+
 export function makeGroupNode(group) {
   // edges
   const top = newElement('div', { class: 'top' });
@@ -446,6 +483,32 @@ export function makeGroupNode(group) {
   const groupId = newElement('spawn', { class: 'group_id', content: group.id });
   const tabCount = newElement('span', { class: 'tab_count' });
 
+  const containerSelect = newElement('select', {}, [
+    newElement('option', {
+      value: DEFAULT_COOKIE_STORE_ID,
+      content: browser.i18n.getMessage('noContainer'),
+    }),
+    ...containers.map((container) =>
+      newElement('option', {
+        value: container.cookieStoreId,
+        content: container.name,
+      }),
+    ),
+  ]);
+  const container = newElement('span', { class: 'container' }, [
+    newElement('span', { class: 'icon' }),
+    containerSelect,
+  ]);
+  container.hidden = containers.length === 0;
+  showContainer(container, group.containerId);
+
+  const settings = newElement('div', {
+    class: 'settings',
+    title: browser.i18n.getMessage('groupSettings'),
+  });
+
+  const sleep = newElement('div', { class: 'sleep' });
+
   const close = newElement('div', {
     class: 'close',
     title: browser.i18n.getMessage('closeGroup'),
@@ -454,9 +517,63 @@ export function makeGroupNode(group) {
   const header = newElement(
     'div',
     { class: 'header', title: browser.i18n.getMessage('dragGroup') },
-    [name, input, spacer, groupId, tabCount, close],
+    [container, name, input, spacer, groupId, tabCount, settings, sleep, close],
   );
 
+  // settings pane
+  const newTabUrl = newElement('input', {
+    type: 'text',
+    title: browser.i18n.getMessage('groupNewTabUrl'),
+    placeholder: browser.i18n.getMessage('groupNewTabUrl'),
+  });
+  newTabUrl.value = group.newTabUrl || '';
+  const startupUrls = newElement('textarea', {
+    rows: 3,
+    title: browser.i18n.getMessage('groupStartupUrls'),
+    placeholder: browser.i18n.getMessage('groupStartupUrls'),
+  });
+  startupUrls.value = (group.startupUrls || []).join('\n');
+  const discardExempt = newElement('input', { type: 'checkbox' });
+  discardExempt.checked = !!group.discardExempt;
+  const syncAcrossDevices = newElement('input', { type: 'checkbox' });
+  syncAcrossDevices.checked = !!group.syncAcrossDevices;
+  const archive = newElement('button', {
+    class: 'archive',
+    content: browser.i18n.getMessage('archiveGroup'),
+  });
+  const exportFormat = newElement(
+    'select',
+    { title: browser.i18n.getMessage('optionsLinkExportFormat') },
+    Object.keys(LINK_EXPORT_FORMATS).map((format) =>
+      newElement('option', {
+        value: format,
+        content: browser.i18n.getMessage(`linkExportFormat_${format}`),
+      }),
+    ),
+  );
+  const exportLinks = newElement('button', {
+    class: 'export_links',
+    content: browser.i18n.getMessage('exportGroupLinks'),
+  });
+  const settingsPane = newElement('div', { class: 'settings_pane' }, [
+    newTabUrl,
+    startupUrls,
+    newElement('label', {}, [
+      discardExempt,
+      newElement('span', {
+        content: browser.i18n.getMessage('groupDiscardExempt'),
+      }),
+    ]),
+    newElement('label', {}, [
+      syncAcrossDevices,
+      newElement('span', {
+        content: browser.i18n.getMessage('groupSyncAcrossDevices'),
+      }),
+    ]),
+    newElement('div', { class: 'export' }, [exportFormat, exportLinks]),
+    archive,
+  ]);
+
   // newtab
   const newtab = newElement('div', { class: 'newtab' }, [
     newElement('div', { class: 'inner' }),
@@ -481,10 +598,19 @@ export function makeGroupNode(group) {
     bottomLeft,
     topLeft,
     header,
+    settingsPane,
     content,
   ]);
   const node = newElement('div', { class: 'group' }, [inner]);
 
+  const showSleeping = (sleeping) => {
+    node.classList.toggle('sleeping', sleeping);
+    sleep.title = browser.i18n.getMessage(
+      sleeping ? 'wakeGroup' : 'sleepGroup',
+    );
+  };
+  showSleeping(groups.isSleeping(group.id));
+
   close.addEventListener(
     'click',
     (event) => {
@@ -499,11 +625,106 @@ export function makeGroupNode(group) {
     async (event) => {
       event.stopPropagation();
       await groups.setActive(group.id);
-      await browser.tabs.create({ active: true });
+      await browser.tabs.create({
+        active: true,
+        ...(await getNewTabProperties(group)),
+      });
     },
     false,
   );
 
+  // sleeping groups have all their tabs discarded
+  sleep.addEventListener(
+    'click',
+    async (event) => {
+      event.stopPropagation();
+      showSleeping(await groups.toggleSleeping(group.id));
+      await forEachTab((tab) => updateTabNode(tab));
+    },
+    false,
+  );
+
+  // new tab page and startup pages
+  settings.addEventListener(
+    'click',
+    (event) => {
+      event.stopPropagation();
+      node.classList.toggle('settings_open');
+      updateGroupFit(group);
+    },
+    false,
+  );
+  [settings, settingsPane].forEach((element) => {
+    element.addEventListener('mousedown', (event) => {
+      event.stopPropagation();
+    });
+  });
+  settingsPane.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+  });
+
+  const showInvalidUrls = (field, invalid) => {
+    field.setCustomValidity(
+      invalid.length
+        ? browser.i18n.getMessage('invalidUrl', [invalid.join(', ')])
+        : '',
+    );
+    field.reportValidity();
+  };
+
+  newTabUrl.addEventListener('change', async () => {
+    const url = normalizeUrl(newTabUrl.value);
+    if (url === null) {
+      showInvalidUrls(newTabUrl, [newTabUrl.value.trim()]);
+      return;
+    }
+    showInvalidUrls(newTabUrl, []);
+    newTabUrl.value = url;
+    await groups.update(group.id, { newTabUrl: url });
+  });
+
+  startupUrls.addEventListener('change', async () => {
+    const { urls, invalid } = parseUrlList(startupUrls.value);
+    showInvalidUrls(startupUrls, invalid);
+    if (invalid.length) {
+      return;
+    }
+    startupUrls.value = urls.join('\n');
+    await groups.update(group.id, { startupUrls: urls });
+  });
+
+  discardExempt.addEventListener('change', async () => {
+    await groups.update(group.id, { discardExempt: discardExempt.checked });
+  });
+
+  // sharing the group with the other devices of the user
+  syncAcrossDevices.addEventListener('change', async () => {
+    await groups.update(group.id, {
+      syncAcrossDevices: syncAcrossDevices.checked,
+    });
+    browser.runtime.sendMessage({ action: 'publishGroups' });
+  });
+
+  // handing the links of the group's tabs to someone else
+  exportLinks.addEventListener('click', async () => {
+    await groups.exportLinks(group.id, exportFormat.value);
+  });
+
+  // closing the group, but keeping its tabs in the archive
+  archive.addEventListener('click', async () => {
+    await groups.archive(group.id);
+    removeGroupNode(group.id);
+  });
+
+  // linking the group to a container
+  container.addEventListener('mousedown', (event) => {
+    event.stopPropagation();
+  });
+  containerSelect.addEventListener('change', async () => {
+    showContainer(container, containerSelect.value);
+    await groups.update(group.id, { containerId: containerSelect.value });
+  });
+
   // move content pane as a whole around
   const moveFunc = function f(event) {
     event.preventDefault();
@@ -699,6 +920,8 @@ export async function fillGroupNodes() {
 }
 
 export async function initGroupNodes(groupsNode) {
+  containers = await getContainers();
+
   groups.forEach((group) => {
     // Only create nodes for user groups (positive IDs)
     // Skip system groups like -2 (ungrouped) and -1 (panorama view)
@@ -6,9 +6,27 @@ import {
 
 let windowId;
 let groups;
+// The background puts groups to sleep and wakes them, so the flag is kept
+// out of the groups here and read from the session
+let sleepingGroupIds = new Set();
+
+async function readSleepingGroupIds() {
+  const storedGroups =
+    (await browser.sessions.getWindowValue(windowId, 'groups')) || [];
+  sleepingGroupIds = new Set(
+    storedGroups.filter((group) => group.sleeping).map((group) => group.id),
+  );
+}
 
 async function save() {
-  await browser.sessions.setWindowValue(windowId, 'groups', groups);
+  await readSleepingGroupIds();
+  await browser.sessions.setWindowValue(
+    windowId,
+    'groups',
+    groups.map((group) =>
+      sleepingGroupIds.has(group.id) ? { ...group, sleeping: true } : group,
+    ),
+  );
 }
 
 async function newUid() {
@@ -69,7 +87,9 @@ export async function init() {
 
   groups.forEach((group) => {
     group.tabCount = 0;
+    delete group.sleeping;
   });
+  await readSleepingGroupIds();
 }
 
 export async function create() {
@@ -143,6 +163,53 @@ export async function remove(id) {
   // Note: Background already updated session storage via stateManager
 }
 
+/**
+ * Close a group, keeping it with its tabs in the archive
+ */
+export async function archive(id) {
+  const index = getIndex(id);
+  if (index === -1) {
+    return;
+  }
+
+  const response = await browser.runtime.sendMessage({
+    action: 'archiveGroup',
+    groupId: id,
+    windowId,
+  });
+
+  if (!response || !response.success) {
+    console.error(
+      `Failed to archive group ${id}:`,
+      response?.error || 'No response',
+    );
+    return;
+  }
+
+  groups.splice(index, 1);
+}
+
+/**
+ * Download the links of a group's tabs
+ * @param {number} id - The group ID
+ * @param {string} format - Key of LINK_EXPORT_FORMATS
+ */
+export async function exportLinks(id, format) {
+  const response = await browser.runtime.sendMessage({
+    action: 'exportGroupLinks',
+    groupId: id,
+    windowId,
+    format,
+  });
+
+  if (!response || !response.success) {
+    console.error(
+      `Failed to export links of group ${id}:`,
+      response?.error || 'No response',
+    );
+  }
+}
+
 export async function rename(id, newName) {
   const index = getIndex(id);
   if (index === -1) {
@@ -158,6 +225,19 @@ export async function rename(id, newName) {
   await save();
 }
 
+/**
+ * Change settings of a group like containerId, newTabUrl or startupUrls
+ */
+export async function update(id, properties) {
+  const index = getIndex(id);
+  if (index === -1) {
+    return;
+  }
+  Object.assign(groups[index], properties);
+
+  await save();
+}
+
 export async function transform(id, rect) {
   const index = getIndex(id);
   if (index === -1) {
@@ -170,6 +250,28 @@ export async function transform(id, rect) {
   await save();
 }
 
+/**
+ * Check if a group sleeps, as of the last time the session was read
+ */
+export function isSleeping(id) {
+  return sleepingGroupIds.has(id);
+}
+
+/**
+ * Put a group to sleep, or wake it if it sleeps
+ * @returns {Promise<boolean>} Whether the group sleeps now
+ */
+export async function toggleSleeping(id) {
+  await readSleepingGroupIds();
+  await browser.runtime.sendMessage({
+    action: isSleeping(id) ? 'wakeGroup' : 'sleepGroup',
+    windowId,
+    groupId: id,
+  });
+  await readSleepingGroupIds();
+  return isSleeping(id);
+}
+
 export async function getActive() {
   return browser.sessions.getWindowValue(windowId, 'activeGroup');
 }
@@ -105,7 +105,8 @@ export function updateTabNode(tab) {
 
     node.inner.title = tab.title;
 
-    if (tab.discarded) {
+    // Tabs of a sleeping group look inactive before they are discarded too
+    if (tab.discarded || node.tab.closest('.group.sleeping')) {
       node.tab.classList.add('inactive');
     } else {
       node.tab.classList.remove('inactive');
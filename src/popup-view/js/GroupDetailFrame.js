@@ -1,6 +1,12 @@
 import Frame from './Frame.js';
 import GroupsFrame from './GroupsFrame.js';
 import { getElementNodeFromString } from '../../_shared/js/utilities/node.js';
+import {
+  DEFAULT_COOKIE_STORE_ID,
+  getContainers,
+} from '../../js/_share/containers.js';
+import { normalizeUrl, parseUrlList } from '../../js/_share/new-tabs.js';
+import { LINK_EXPORT_FORMATS } from '../../js/_share/link-export.js';
 
 async function saveGroupName(formNode, inputNode) {
   const newGroupName = inputNode.value;
@@ -86,9 +92,172 @@ function renderHeader() {
   this.setHeaderContent([backNode, groupNameNode]);
 }
 
-function renderTabList() {
+function attachUrlFieldHandler(fieldNode, parse, save) {
+  // Allow arrow navigation inside the field
+  fieldNode.addEventListener('keyup', (event) => {
+    event.stopPropagation();
+  });
+
+  fieldNode.addEventListener('change', async () => {
+    const { value, invalid } = parse(fieldNode.value);
+    if (invalid.length > 0) {
+      fieldNode.setCustomValidity(
+        browser.i18n.getMessage('invalidUrl', [invalid.join(', ')]),
+      );
+      fieldNode.reportValidity();
+      return;
+    }
+    fieldNode.setCustomValidity('');
+    await save(value);
+  });
+}
+
+async function getRenderedGroupSettings() {
+  const containers = await getContainers();
+  const node = getElementNodeFromString(`
+        <div class="group-settings">
+            <div class="form-field" ${containers.length ? '' : 'hidden'}>
+                <select class="form-field__input group-settings__container"
+                        title="${browser.i18n.getMessage('groupContainer')}">
+                    <option value="${DEFAULT_COOKIE_STORE_ID}">
+                        ${browser.i18n.getMessage('noContainer')}
+                    </option>
+                </select>
+            </div>
+            <div class="form-field">
+                <input class="form-field__input group-settings__new-tab-url"
+                       type="text"
+                       title="${browser.i18n.getMessage('groupNewTabUrl')}"
+                       placeholder="${browser.i18n.getMessage('groupNewTabUrl')}" />
+            </div>
+            <div class="form-field">
+                <textarea class="form-field__input group-settings__startup-urls"
+                          rows="3"
+                          title="${browser.i18n.getMessage('groupStartupUrls')}"
+                          placeholder="${browser.i18n.getMessage(
+    'groupStartupUrls',
+  )}"></textarea>
+            </div>
+            <label class="group-settings__checkbox">
+                <input class="group-settings__discard-exempt" type="checkbox" />
+                <span>${browser.i18n.getMessage('groupDiscardExempt')}</span>
+            </label>
+            <label class="group-settings__checkbox">
+                <input class="group-settings__sync" type="checkbox" />
+                <span>${browser.i18n.getMessage('groupSyncAcrossDevices')}</span>
+            </label>
+            <div class="group-settings__export">
+                <select class="form-field__input group-settings__export-format"
+                        title="${browser.i18n.getMessage('optionsLinkExportFormat')}">
+                    ${Object.keys(LINK_EXPORT_FORMATS)
+                      .map(
+                        (format) => `<option value="${format}">
+                        ${browser.i18n.getMessage(`linkExportFormat_${format}`)}
+                    </option>`,
+                      )
+                      .join('')}
+                </select>
+                <button class="group-settings__export-links">
+                    ${browser.i18n.getMessage('exportGroupLinks')}
+                </button>
+            </div>
+            <button class="group-settings__archive">
+                ${browser.i18n.getMessage('archiveGroup')}
+            </button>
+        </div>
+    `);
+
+  // Link the group to the chosen container
+  const selectNode = node.querySelector('.group-settings__container');
+  containers.forEach((container) => {
+    const optionNode = document.createElement('option');
+    optionNode.value = container.cookieStoreId;
+    optionNode.textContent = container.name;
+    selectNode.append(optionNode);
+  });
+  selectNode.value = containers.some(
+    (container) => container.cookieStoreId === this.group.containerId,
+  )
+    ? this.group.containerId
+    : DEFAULT_COOKIE_STORE_ID;
+  selectNode.addEventListener('change', async () => {
+    this.group = await this.group.update({ containerId: selectNode.value });
+  });
+
+  // Page of new tabs
+  const newTabUrlNode = node.querySelector('.group-settings__new-tab-url');
+  newTabUrlNode.value = this.group.newTabUrl || '';
+  attachUrlFieldHandler(
+    newTabUrlNode,
+    (text) => {
+      const url = normalizeUrl(text);
+      return url === null
+        ? { value: null, invalid: [text.trim()] }
+        : { value: url, invalid: [] };
+    },
+    async (url) => {
+      newTabUrlNode.value = url;
+      this.group = await this.group.update({ newTabUrl: url });
+    },
+  );
+
+  // Pages opened when the empty group is activated
+  const startupUrlsNode = node.querySelector('.group-settings__startup-urls');
+  startupUrlsNode.value = (this.group.startupUrls || []).join('\n');
+  attachUrlFieldHandler(
+    startupUrlsNode,
+    (text) => {
+      const { urls, invalid } = parseUrlList(text);
+      return { value: urls, invalid };
+    },
+    async (urls) => {
+      startupUrlsNode.value = urls.join('\n');
+      this.group = await this.group.update({ startupUrls: urls });
+    },
+  );
+
+  // Keep the tabs of the group loaded
+  const discardExemptNode = node.querySelector('.group-settings__discard-exempt');
+  discardExemptNode.checked = !!this.group.discardExempt;
+  discardExemptNode.addEventListener('change', async () => {
+    this.group = await this.group.update({
+      discardExempt: discardExemptNode.checked,
+    });
+  });
+
+  // Share the group with the other devices of the user
+  const syncNode = node.querySelector('.group-settings__sync');
+  syncNode.checked = !!this.group.syncAcrossDevices;
+  syncNode.addEventListener('change', async () => {
+    this.group = await this.group.update({
+      syncAcrossDevices: syncNode.checked,
+    });
+    browser.runtime.sendMessage({ action: 'publishGroups' });
+  });
+
+  // Hand the links of the group's tabs to someone else
+  const exportFormatNode = node.querySelector('.group-settings__export-format');
+  node
+    .querySelector('.group-settings__export-links')
+    .addEventListener('click', async () => {
+      await this.group.exportLinks(exportFormatNode.value);
+    });
+
+  // Close the group, keeping it in the archive
+  node
+    .querySelector('.group-settings__archive')
+    .addEventListener('click', async () => {
+      await this.group.archive();
+      GroupsFrame.render();
+    });
+
+  return node;
+}
+
+async function renderTabList() {
   const tabList = this.getRenderedTabList(this.group.tabs);
-  this.setContent(tabList);
+  const settingsNode = await getRenderedGroupSettings.call(this);
+  this.setContent([settingsNode, tabList]);
 }
 
 function renderFooter() {
@@ -116,7 +285,7 @@ class GroupDetailFrame extends Frame {
     this.setContentLoadingStart();
     GroupsFrame.lastViewedGroupDetail = this.group.id;
     renderHeader.call(this);
-    renderTabList.call(this);
+    await renderTabList.call(this);
     renderFooter.call(this);
     if (this.frameShellEventAttachted === false) {
       this.frameShellEventAttachted = true;
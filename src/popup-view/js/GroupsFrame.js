@@ -2,6 +2,7 @@ import Frame from './Frame.js';
 import GroupDetailFrame from './GroupDetailFrame.js';
 import { getElementNodeFromString } from '../../_shared/js/utilities/node.js';
 import { getPluralForm } from '../../js/_share/utils.js';
+import { getContainer } from '../../js/_share/containers.js';
 
 function handleGroupDragStart(event) {
   event.target.previousSibling.style.display = 'none';
@@ -129,16 +130,22 @@ async function renderGroupListItem(Group) {
   await Group.loadTabs();
   const tabCount = Group.tabs.length || 0;
   const isActive = Group.id === window.PopupView.lastActiveTab.groupId;
+  const container = await getContainer(Group.containerId);
   const node = getElementNodeFromString(`
         <li id="group-${Group.id}"
             class="list__item ${
   isActive ? 'list__item--highlight' : ''
-}" data-nav-row>
+} ${Group.sleeping ? 'list__item--sleeping' : ''}" data-nav-row>
             <div class="list__drag"></div>
             <div class="list__close-wrapper">
                 <button class="list__link">
+                    ${container ? '<span class="container-icon"></span>' : ''}
                     <span>${Group.name}</span>
                 </button>
+                <button class="list__sleep"
+                        title="${browser.i18n.getMessage(
+    Group.sleeping ? 'wakeGroup' : 'sleepGroup',
+  )}"></button>
                 <button class="list__close"
                         title="${browser.i18n.getMessage(
     'closeGroup',
@@ -155,6 +162,17 @@ async function renderGroupListItem(Group) {
         </li>
     `);
 
+  // Show the container of the group
+  if (container) {
+    const containerNode = node.querySelector('.container-icon');
+    containerNode.title = container.name;
+    containerNode.style.setProperty('--container-color', container.colorCode);
+    containerNode.style.setProperty(
+      '--container-icon',
+      `url(${container.iconUrl})`,
+    );
+  }
+
   // Save Group within Node
   Object.defineProperty(node, 'Group', {
     value: Group,
@@ -168,6 +186,16 @@ async function renderGroupListItem(Group) {
       window.PopupView.close();
     });
 
+  // Put group to sleep or wake it up
+  const sleepButton = node.querySelector('.list__sleep');
+  sleepButton.addEventListener('click', async () => {
+    await (Group.sleeping ? Group.wake() : Group.sleep());
+    node.classList.toggle('list__item--sleeping', Group.sleeping);
+    sleepButton.title = browser.i18n.getMessage(
+      Group.sleeping ? 'wakeGroup' : 'sleepGroup',
+    );
+  });
+
   // Remove group
   node.querySelector('.list__close').addEventListener('click', async () => {
     // Ask for confirmation
@@ -206,6 +234,125 @@ async function renderGroupListItem(Group) {
   return node;
 }
 
+function renderWorkspaceListItem(workspace) {
+  const node = getElementNodeFromString(`
+        <li class="list__item" data-nav-row>
+            <button class="list__link"
+                    title="${browser.i18n.getMessage('switchWorkspace')}">
+                <span>${workspace.name}</span>
+            </button>
+        </li>
+    `);
+
+  // Replace the groups of this window with the workspace
+  node.querySelector('.list__link').addEventListener('click', () => {
+    const confirmation = browser.i18n.getMessage('switchWorkspaceWarning', [
+      workspace.name,
+    ]);
+    if (window.confirm(confirmation)) {
+      browser.runtime.sendMessage({
+        action: 'openWorkspace',
+        name: workspace.name,
+        windowId: window.PopupView.windowId,
+      });
+      window.PopupView.close();
+    }
+  });
+
+  return node;
+}
+
+function renderArchivedGroupListItem(archivedGroup) {
+  const tabCount = archivedGroup.tabs.length;
+  const node = getElementNodeFromString(`
+        <li class="list__item list__item--archived" data-nav-row>
+            <div class="list__close-wrapper">
+                <button class="list__link"
+                        title="${browser.i18n.getMessage(
+    'restoreArchivedGroup',
+  )}">
+                    <span>${archivedGroup.group.name}</span>
+                </button>
+                <button class="list__close"
+                        title="${browser.i18n.getMessage(
+    'purgeArchivedGroup',
+  )}"></button>
+            </div>
+            <span class="list__link list__link--extend">
+                <span>
+                    ${getPluralForm(
+    tabCount,
+    browser.i18n.getMessage('tabCount', [tabCount]),
+  )}
+                </span>
+            </span>
+        </li>
+    `);
+
+  // Restore group into this window
+  node.querySelector('.list__link').addEventListener('click', async () => {
+    await browser.runtime.sendMessage({
+      action: 'restoreArchivedGroup',
+      archiveId: archivedGroup.id,
+      windowId: window.PopupView.windowId,
+    });
+    this.render();
+  });
+
+  // Purge group
+  node.querySelector('.list__close').addEventListener('click', async () => {
+    const confirmation = browser.i18n.getMessage(
+      'purgeArchivedGroupWarning',
+      [archivedGroup.group.name],
+    );
+    if (window.confirm(confirmation)) {
+      node.remove();
+      await browser.runtime.sendMessage({
+        action: 'purgeArchivedGroup',
+        archiveId: archivedGroup.id,
+      });
+    }
+  });
+
+  return node;
+}
+
+function renderRemoteGroupListItem(device, group) {
+  const tabCount = group.urls.length;
+  const node = getElementNodeFromString(`
+        <li class="list__item list__item--archived" data-nav-row>
+            <button class="list__link"
+                    title="${browser.i18n.getMessage('openRemoteGroup')}">
+                <span></span>
+            </button>
+            <span class="list__link list__link--extend">
+                <span>
+                    ${getPluralForm(
+    tabCount,
+    browser.i18n.getMessage('tabCount', [tabCount]),
+  )}
+                </span>
+            </span>
+        </li>
+    `);
+  // Names come from other devices, keep them from adding markup
+  node.querySelector('.list__link span').textContent = group.name;
+
+  // Open the group of the other device as a new group in this window
+  node.querySelector('.list__link').addEventListener('click', async () => {
+    await browser.runtime.sendMessage({
+      action: 'openRemoteGroup',
+      deviceId: device.deviceId,
+      groupName: group.name,
+      updated: device.updated,
+      windowId: window.PopupView.windowId,
+    });
+    this.render();
+  });
+
+  return node;
+}
+
 async function renderGroupList() {
   const groups = await window.PopupView.getGroups();
   const groupNodes = await Promise.all(
@@ -214,7 +361,54 @@ async function renderGroupList() {
   const groupList = getElementNodeFromString('<ul class="list"></ul>');
   groupList.append(...groupNodes);
 
-  this.setContent(groupList);
+  const contentNodes = [groupList];
+
+  const { workspaces = [] } = await browser.runtime.sendMessage({
+    action: 'getWorkspaces',
+  });
+  if (workspaces.length > 0) {
+    const workspaceTitle = getElementNodeFromString(`
+        <h2 class="list-title">${browser.i18n.getMessage('workspaces')}</h2>
+    `);
+    const workspaceList = getElementNodeFromString('<ul class="list"></ul>');
+    workspaceList.append(...workspaces.map(renderWorkspaceListItem));
+    contentNodes.push(workspaceTitle, workspaceList);
+  }
+
+  const { archivedGroups = [] } = await browser.runtime.sendMessage({
+    action: 'getArchivedGroups',
+  });
+  if (archivedGroups.length > 0) {
+    const archiveTitle = getElementNodeFromString(`
+        <h2 class="list-title">${browser.i18n.getMessage('archivedGroups')}</h2>
+    `);
+    const archiveList = getElementNodeFromString('<ul class="list"></ul>');
+    archiveList.append(
+      ...archivedGroups.map(renderArchivedGroupListItem.bind(this)),
+    );
+    contentNodes.push(archiveTitle, archiveList);
+  }
+
+  if (window.PopupView.options.groupSync) {
+    const { devices = [] } = await browser.runtime.sendMessage({
+      action: 'getRemoteDevices',
+    });
+    devices.forEach((device) => {
+      const deviceTitle = getElementNodeFromString(
+        '<h2 class="list-title"></h2>',
+      );
+      deviceTitle.textContent = device.device;
+      const deviceList = getElementNodeFromString('<ul class="list"></ul>');
+      deviceList.append(
+        ...device.groups.map((group) => (
+          renderRemoteGroupListItem.call(this, device, group)
+        )),
+      );
+      contentNodes.push(deviceTitle, deviceList);
+    });
+  }
+
+  this.setContent(contentNodes);
   enableGroupDragAndDrop.call(this);
 }
 